@@ -1,7 +1,9 @@
 const express = require('express');
 const cors = require('cors');
-const multer = require('multer');
 const { requestLoggerMiddleware } = require('./middleware/requestLogger.js');
+const { idempotencyMiddleware } = require('./middleware/idempotency.js');
+const { createUploadMiddleware } = require('./middleware/upload.js');
+const { createImageValidationMiddleware } = require('./middleware/imageValidation.js');
 const { logger } = require('./utils/logger.js');
 const { handleRemoveBackground } = require('./routes/removeBackgroundHandler.js');
 const { handleUpscaleImage } = require('./routes/upscaleImageHandler.js');
@@ -19,8 +21,25 @@ const {
   handleUpscaleImageAsync,
   handleUpscaleRemoveBGAsync,
   getJobStatus: getAsyncJobStatus,
-  getJobResult
+  getJobResult,
+  getJobResultImage,
+  streamJobEvents,
+  cancelJob
 } = require('./routes/asyncJobHandler.js');
+const {
+  MAX_BATCH_ITEMS,
+  handleBatchSubmission,
+  getBatchStatus,
+  cancelBatch
+} = require('./routes/batchHandler.js');
+const {
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetter,
+  purgeDeadLetters
+} = require('./routes/deadLetterHandler.js');
 const {
   getSystemMetrics,
   getPerformanceMetrics,
@@ -39,15 +58,21 @@ const {
   forceCloseBreaker,
   forceOpenBreaker
 } = require('./routes/circuitBreakerHandler.js');
+const { listWorkflows, findWorkflow, runWorkflow } = require('./routes/workflowHandler.js');
+const { listUpscaleModels } = require('./routes/modelHandler.js');
 
 // Instantiate Express app
 const app = express();
 
-// Configure multer for single file uploads to memory
-const upload = multer({ 
-  storage: multer.memoryStorage(), 
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
+// Uploads are streamed to temporary files; size limits are configurable per route.
+// Every image is then validated (real format, dimensions) before a handler sees it
+const imageInput = {
+  'remove-background': [createUploadMiddleware('remove-background', { field: 'imageFile' }), createImageValidationMiddleware('remove-background')],
+  'upscale-image': [createUploadMiddleware('upscale-image', { field: 'imageFile' }), createImageValidationMiddleware('upscale-image')],
+  'upscale-remove-bg': [createUploadMiddleware('upscale-remove-bg', { field: 'imageFile' }), createImageValidationMiddleware('upscale-remove-bg')],
+  batch: [createUploadMiddleware('batch', { field: 'imageFiles', maxCount: MAX_BATCH_ITEMS }), createImageValidationMiddleware()],
+  workflow: [findWorkflow, createUploadMiddleware('workflows', { field: 'imageFile' }), createImageValidationMiddleware(req => req.workflow.jobType)]
+};
 
 // CORS configuration
 const corsOptions = {
@@ -69,28 +94,36 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-  exposedHeaders: ['X-Request-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['X-Request-ID', 'Idempotent-Replayed', 'Retry-After', 'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag']
 };
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '50mb' })); // Large enough for base64 image batches
 app.use(requestLoggerMiddleware);
 
 // Routes - Processing endpoints (with backward compatibility)
-app.post('/api/remove-background', upload.single('imageFile'), handleRemoveBackground);
-app.post('/api/upscale-image', upload.single('imageFile'), handleUpscaleImage);
-app.post('/api/upscale-remove-bg', upload.single('imageFile'), upscaleRemoveBGHandler);
+app.post('/api/remove-background', imageInput['remove-background'], handleRemoveBackground);
+app.post('/api/upscale-image', imageInput['upscale-image'], handleUpscaleImage);
+app.post('/api/upscale-remove-bg', imageInput['upscale-remove-bg'], upscaleRemoveBGHandler);
 
 // Async-specific routes (dedicated async endpoints)
-app.post('/api/async/remove-background', upload.single('imageFile'), handleRemoveBackgroundAsync);
-app.post('/api/async/upscale-image', upload.single('imageFile'), handleUpscaleImageAsync);
-app.post('/api/async/upscale-remove-bg', upload.single('imageFile'), handleUpscaleRemoveBGAsync);
+app.post('/api/async/remove-background', imageInput['remove-background'], idempotencyMiddleware, handleRemoveBackgroundAsync);
+app.post('/api/async/upscale-image', imageInput['upscale-image'], idempotencyMiddleware, handleUpscaleImageAsync);
+app.post('/api/async/upscale-remove-bg', imageInput['upscale-remove-bg'], idempotencyMiddleware, handleUpscaleRemoveBGAsync);
+
+// Batch submission (async API)
+app.post('/api/async/batch/:type', imageInput.batch, idempotencyMiddleware, handleBatchSubmission);
+app.get('/api/batches/:batch_id', getBatchStatus);
+app.post('/api/batches/:batch_id/cancel', cancelBatch);
 
 // Job status and result endpoints (async API)
 app.get('/api/jobs/:job_id/status', getAsyncJobStatus);
 app.get('/api/jobs/:job_id/result', getJobResult);
+app.get('/api/jobs/:job_id/result/image', getJobResultImage);
+app.get('/api/jobs/:job_id/events', streamJobEvents);
+app.post('/api/jobs/:job_id/cancel', cancelJob);
 
 // Job management routes (admin API)
 app.get('/api/jobs/stats', getJobStats);
@@ -100,6 +133,14 @@ app.get('/api/jobs/:jobId/info', getJobStatus);
 app.delete('/api/jobs/:jobId', deleteJob);
 app.post('/api/jobs/cleanup', cleanupExpiredJobs);
 
+// Dead-letter queue routes (admin API)
+app.get('/api/dead-letter', listDeadLetters);
+app.post('/api/dead-letter/replay', replayDeadLetters);
+app.delete('/api/dead-letter', purgeDeadLetters);
+app.get('/api/dead-letter/:jobId', getDeadLetter);
+app.post('/api/dead-letter/:jobId/replay', replayDeadLetter);
+app.delete('/api/dead-letter/:jobId', purgeDeadLetter);
+
 // Health and Status routes
 app.get('/health', getSystemHealth);
 app.get('/status', getQuickStatus);
@@ -119,6 +160,13 @@ app.get('/api/circuit-breakers', getCircuitBreakerStatus);
 app.post('/api/circuit-breakers/:name/close', forceCloseBreaker);
 app.post('/api/circuit-breakers/:name/open', forceOpenBreaker);
 
+// Workflow routes
+app.get('/api/workflows', listWorkflows);
+app.post('/api/workflows/:name/run', imageInput.workflow, idempotencyMiddleware, runWorkflow);
+
+// Model routes
+app.get('/api/models/upscale', listUpscaleModels);
+
 // Enhanced global error handler with structured logging
 app.use((err, req, res, next) => {
   const requestLogger = req.logger || logger;
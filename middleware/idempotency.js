@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { getJobManager } = require('../services/jobManager');
+
+const MAX_KEY_LENGTH = 255;
+
+// Keys of submissions still being processed, reserved before the job is created
+const reservedKeys = new Set();
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads hash equally
+ * regardless of field order
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash everything that defines a submission: route, parameters and uploaded files
+ * @param {Object} req - Express request object
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashSubmission(req) {
+  const hash = crypto.createHash('sha256');
+
+  hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+  hash.update(canonicalJson({ body: req.body || {}, query: req.query || {} }));
+
+  const files = req.file ? [req.file] : (req.files || []);
+  for (const file of files) {
+    hash.update(`\n${file.fieldname}:`);
+    // Streamed uploads were hashed while being written to disk
+    hash.update(file.sha256 || file.buffer);
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Express middleware implementing the Idempotency-Key header for async submissions
+ * Must run after the upload middleware so the uploaded files are part of the payload hash.
+ * - Unknown key: the request is processed and its 202 response is stored on the created job
+ *   (on every job of a batch)
+ * - Known key, same payload: the original response is returned without creating a job
+ * - Known key, different payload: 409 Conflict
+ * - Key of a submission still being processed: 409 Conflict with Retry-After, the key is
+ *   reserved until that request has been answered and released if it did not create a job
+ * Keys are kept on the job records and expire together with the last of them.
+ */
+function idempotencyMiddleware(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      details: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const jobManager = getJobManager();
+  const payloadHash = hashSubmission(req);
+  const original = jobManager.getIdempotentSubmission(idempotencyKey);
+
+  if (original) {
+    if (original.payloadHash !== payloadHash) {
+      return res.status(409).json({
+        error: 'Idempotency key conflict',
+        details: 'This Idempotency-Key was already used for a different request payload',
+        job_id: original.jobId
+      });
+    }
+
+    console.log(`🔁 Replaying submission for Idempotency-Key ${idempotencyKey} (job ${original.jobId})`);
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(202).json(original.response);
+  }
+
+  if (reservedKeys.has(idempotencyKey)) {
+    res.setHeader('Retry-After', '1');
+    return res.status(409).json({
+      error: 'Idempotency key in use',
+      details: 'A request with this Idempotency-Key is still being processed, retry to get its response'
+    });
+  }
+
+  reservedKeys.add(idempotencyKey);
+  const release = () => reservedKeys.delete(idempotencyKey);
+  res.on('finish', release);
+  res.on('close', release);
+
+  // Capture the accepted response so retries can be answered with it
+  const originalJson = res.json;
+  res.json = function(body) {
+    if (res.statusCode === 202 && body) {
+      const jobIds = body.job_id ? [body.job_id] : (body.jobs || []).map(job => job.job_id).filter(Boolean);
+      if (jobIds.length > 0) {
+        jobManager.recordIdempotencyKey(jobIds, idempotencyKey, payloadHash, body);
+      }
+    }
+    return originalJson.call(this, body);
+  };
+
+  next();
+}
+
+module.exports = {
+  idempotencyMiddleware
+};
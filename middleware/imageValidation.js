@@ -0,0 +1,45 @@
+const { validateImage } = require('../utils/imageValidation');
+
+/**
+ * Create the image validation middleware of a processing route
+ * Must run after the upload middleware. Every uploaded file is identified from its
+ * magic bytes and checked against the megapixel limit of the job type; the detected
+ * type replaces the client-supplied MIME type on req.file / req.files.
+ * - Not a PNG, JPEG or WebP image: 415 unsupported_image_type
+ * - Unreadable header: 422 invalid_image
+ * - Over the megapixel limit: 422 image_too_large
+ * @param {string|Function} jobType - Job type of the route, or (req) => job type; omitted for
+ *   batches, which use req.params.type
+ * @returns {Function} Express middleware
+ */
+function createImageValidationMiddleware(jobType) {
+  return async (req, res, next) => {
+    const type = typeof jobType === 'function' ? jobType(req) : (jobType || req.params.type);
+    const files = req.file ? [req.file] : (req.files || []);
+
+    try {
+      for (const [index, file] of files.entries()) {
+        const result = await validateImage(file.path, type);
+
+        if (result.error) {
+          const prefix = req.files ? `imageFiles[${index}] (${file.originalname}): ` : '';
+          return res.status(result.status).json({
+            error: result.error,
+            code: result.code,
+            details: `${prefix}${result.details}`
+          });
+        }
+
+        file.mimetype = result.image.mimeType;
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createImageValidationMiddleware
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline, Readable } = require('stream');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { base64ToImageData, detectFileMimeType } = require('../utils/imageUtils');
+const { RemoteImageError, fetchImageUrl } = require('../utils/remoteImage');
+
+const UPLOAD_DIRECTORY = path.resolve(process.env.UPLOAD_TMP_PATH || path.join(os.tmpdir(), 'comfy-uploads'));
+const DEFAULT_MAX_SIZE_MB = parseInt(process.env.UPLOAD_MAX_SIZE_MB) || 10;
+
+/**
+ * Load per-route upload size limits from UPLOAD_MAX_SIZE_MB_PER_ROUTE
+ * Example: {"upscale-image":60,"batch":20}
+ * @returns {Object} Route name to limit in MB
+ */
+function loadRouteLimits() {
+  if (!process.env.UPLOAD_MAX_SIZE_MB_PER_ROUTE) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.UPLOAD_MAX_SIZE_MB_PER_ROUTE);
+  } catch (error) {
+    console.error('❌ Invalid UPLOAD_MAX_SIZE_MB_PER_ROUTE, using the default limit for all routes:', error.message);
+    return {};
+  }
+}
+
+const ROUTE_LIMITS = loadRouteLimits();
+
+/**
+ * Stream data to a new temporary file, hashing it on the way
+ * @param {Readable} stream - Source stream
+ * @param {number} maxBytes - Optional size limit; exceeding it fails with code LIMIT_FILE_SIZE
+ * @returns {Promise<Object>} { path, size, sha256 }
+ */
+function writeTempFile(stream, maxBytes = Infinity) {
+  const filePath = path.join(UPLOAD_DIRECTORY, uuidv4());
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(filePath);
+  let size = 0;
+
+  stream.on('data', chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      const error = new Error('File too large');
+      error.code = 'LIMIT_FILE_SIZE';
+      stream.destroy(error);
+      return;
+    }
+    hash.update(chunk);
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(stream, output, (error) => {
+      if (error) {
+        fs.unlink(filePath, () => reject(error));
+        return;
+      }
+      resolve({ path: filePath, size: size, sha256: hash.digest('hex') });
+    });
+  });
+}
+
+/**
+ * Multer storage engine that streams each file to a temporary file
+ * The SHA-256 of the content is computed while writing, so the file never has
+ * to be read back into memory to be hashed (file.sha256)
+ */
+class TempFileStorage {
+  constructor(directory) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Store an incoming file (multer storage engine interface)
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file with a readable stream
+   * @param {Function} callback - (error, info) with { path, size, sha256 }
+   */
+  _handleFile(req, file, callback) {
+    // multer enforces the size limit on the incoming stream
+    writeTempFile(file.stream)
+      .then(info => callback(null, info))
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Remove a stored file after a failed request (multer storage engine interface)
+   * @param {Object} req - Express request object
+   * @param {Object} file - Stored file
+   * @param {Function} callback - (error)
+   */
+  _removeFile(req, file, callback) {
+    fs.unlink(file.path, () => callback(null));
+  }
+}
+
+const storage = new TempFileStorage(UPLOAD_DIRECTORY);
+
+/**
+ * Get the upload size limit of a route
+ * @param {string} routeName - Route name (job type or "batch")
+ * @returns {number} Limit in MB
+ */
+function getUploadLimit(routeName) {
+  return parseInt(ROUTE_LIMITS[routeName]) || DEFAULT_MAX_SIZE_MB;
+}
+
+/**
+ * Resolve the image of a JSON submission ({ image_base64 } or { image_url }) to a
+ * temporary file shaped like a multer upload, so validation and handlers treat both the same
+ * @param {Object} body - Parsed JSON body
+ * @param {string} field - Upload field name the file is reported under
+ * @param {number} maxSizeMB - Size limit of the route
+ * @returns {Promise<Object|null>} { file } or { status, error, details }; null without image fields
+ */
+async function resolveJsonImage(body, field, maxSizeMB) {
+  const { image_base64: imageBase64, image_url: imageUrl } = body;
+  const maxBytes = maxSizeMB * 1024 * 1024;
+  const tooLarge = {
+    status: 413,
+    error: 'File too large',
+    details: `Images on this route can be at most ${maxSizeMB}MB`
+  };
+
+  if (imageBase64 === undefined && imageUrl === undefined) {
+    return null;
+  }
+  if (imageBase64 !== undefined && imageUrl !== undefined) {
+    return {
+      status: 400,
+      error: 'Invalid image input',
+      details: 'Provide either image_base64 or image_url, not both'
+    };
+  }
+
+  try {
+    let stored;
+    let mimeType;
+    let filename;
+
+    if (imageBase64 !== undefined) {
+      const image = base64ToImageData(imageBase64);
+      if (image.buffer.length > maxBytes) {
+        return tooLarge;
+      }
+      stored = await writeTempFile(Readable.from([image.buffer]));
+      mimeType = image.mimeType;
+      filename = 'image';
+    } else {
+      stored = await fetchImageUrl(imageUrl, maxBytes, stream => writeTempFile(stream, maxBytes));
+      mimeType = await detectFileMimeType(stored.path);
+      filename = path.posix.basename(new URL(imageUrl).pathname) || 'image';
+    }
+
+    return {
+      file: {
+        fieldname: field,
+        originalname: typeof body.filename === 'string' ? body.filename : filename,
+        mimetype: mimeType || 'application/octet-stream', // Rejected by image validation
+        ...stored
+      }
+    };
+  } catch (error) {
+    if (error instanceof RemoteImageError) {
+      return { status: error.status, error: error.error, details: error.details };
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return tooLarge;
+    }
+    if (imageBase64 !== undefined) {
+      return { status: 400, error: 'Invalid image input', details: `image_base64: ${error.message}` };
+    }
+    return { status: 502, error: 'Failed to fetch image URL', details: error.message };
+  }
+}
+
+/**
+ * Create the upload middleware of a route
+ * Files are streamed to UPLOAD_TMP_PATH and deleted once the response is sent;
+ * handlers that need to keep an upload copy it to storage before responding.
+ * Single-image routes also accept a JSON body with image_base64 or image_url,
+ * which is resolved to req.file the same way.
+ * @param {string} routeName - Route name used to look up the size limit (job type or "batch")
+ * @param {Object} options - { field, maxCount } - maxCount > 1 accepts an array of files
+ * @returns {Function} Express middleware
+ */
+function createUploadMiddleware(routeName, { field, maxCount = 1 }) {
+  const maxSizeMB = getUploadLimit(routeName);
+  const upload = multer({
+    storage: storage,
+    limits: { fileSize: maxSizeMB * 1024 * 1024, files: maxCount }
+  });
+  const handler = maxCount > 1 ? upload.array(field, maxCount) : upload.single(field);
+
+  return (req, res, next) => {
+    // Temporary files never outlive the request
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      const files = req.file ? [req.file] : (req.files || []);
+      for (const file of files) {
+        fs.unlink(file.path, () => {});
+      }
+    });
+
+    handler(req, res, async (error) => {
+      if (!error) {
+        if (maxCount > 1 || req.file || !req.is('application/json')) {
+          return next();
+        }
+
+        const resolved = await resolveJsonImage(req.body || {}, field, maxSizeMB);
+        if (resolved && resolved.file && closed) {
+          fs.unlink(resolved.file.path, () => {}); // Client went away while the image was fetched
+          return;
+        }
+        if (resolved && resolved.error) {
+          return res.status(resolved.status).json({ error: resolved.error, details: resolved.details });
+        }
+        if (resolved) {
+          req.file = resolved.file;
+        }
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            error: 'File too large',
+            details: `Images on this route can be at most ${maxSizeMB}MB`
+          });
+        }
+        return res.status(400).json({
+          error: 'Invalid upload',
+          details: error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Unexpected file field "${error.field}", expected "${field}"`
+            : error.message
+        });
+      }
+
+      next(error);
+    });
+  };
+}
+
+module.exports = {
+  createUploadMiddleware,
+  getUploadLimit
+};
@@ -1,35 +1,113 @@
-const { fileBufferToBase64 } = require('../utils/imageUtils');
+const { Readable, pipeline } = require('stream');
+const { fileBufferToBase64, getImageExtension } = require('../utils/imageUtils');
 const { getJobProcessor } = require('../services/jobProcessor');
 const { getJobManager } = require('../services/jobManager');
+const { getStorage } = require('../services/storage');
+const { buildJobStatusResponse, buildJobResultResponse, buildQueueFullResponse } = require('../utils/jobResponses');
+const { parseSubmissionOptions, parseOutputsOption, parseProcessingParams } = require('../utils/submissionOptions');
 
 /**
- * Asynchronous route handler for removing background from images
- * Returns job ID immediately and processes in background
+ * Build a job status payload, including queue position and ETA for pending jobs
+ * @param {Object} job - Job object
+ * @returns {Object} Status response body
+ */
+function buildStatusWithQueue(job) {
+  const queueInfo = job.status === 'pending' ? getJobProcessor().getQueueInfo(job.id) : null;
+  return buildJobStatusResponse(job, queueInfo);
+}
+
+// Typical processing time of each job type, returned with the submission
+const ESTIMATED_COMPLETION_TIMES = {
+  'remove-background': '30-60 seconds',
+  'upscale-image': '45-90 seconds',
+  'upscale-remove-bg': '60-180 seconds'
+};
+
+/**
+ * Queue the uploaded image as an async job and send the 202 response
+ * Parses the options shared by every async submission (webhook callback, priority,
+ * named outputs) and rejects the submission with 429 while the queue is full
+ * @param {Object} req - Express request object with the uploaded file
+ * @param {Object} res - Express response object
+ * @param {Object} submission - Job to submit
+ * @param {string} submission.jobType - Job type
+ * @param {Object} submission.jobData - Job type specific data stored on the job
+ * @param {Object} submission.response - Job type specific fields of the response body
+ * @param {Array<string>} [submission.outputNames] - Selectable outputs, defaults to those of the job type's workflow
+ * @param {string} [submission.estimatedCompletionTime] - Typical processing time
+ * @returns {Promise<void>}
+ */
+async function submitAsyncJob(req, res, submission) {
+  const { jobType, jobData, response, estimatedCompletionTime } = submission;
+  const { path: filePath, size, sha256, mimetype } = req.file;
+
+  // Parse shared submission options (webhook callback, priority)
+  const { options, error, details } = parseSubmissionOptions(req);
+  if (error) {
+    return res.status(400).json({ error, details });
+  }
+
+  // Parse the requested named outputs
+  const jobProcessor = getJobProcessor();
+  const outputsResult = parseOutputsOption(req, submission.outputNames || jobProcessor.getOutputNames(jobType));
+  if (outputsResult.error) {
+    return res.status(400).json({ error: outputsResult.error, details: outputsResult.details });
+  }
+
+  // Reject the submission while the queue is full
+  const queueRejection = jobProcessor.checkQueueCapacity(jobType);
+  if (queueRejection) {
+    res.set('Retry-After', String(queueRejection.retryAfterSeconds));
+    return res.status(429).json(buildQueueFullResponse(queueRejection));
+  }
+
+  // Add job to processor queue
+  const jobId = await jobProcessor.addJob(jobType, {
+    imagePath: filePath,
+    imageHash: sha256,
+    imageSize: size,
+    mimeType: mimetype,
+    originalFilename: req.file.originalname,
+    ...jobData,
+    outputs: outputsResult.outputs,
+    callbackUrl: options.callbackUrl,
+    callbackIncludeResult: options.callbackIncludeResult,
+    priority: options.priority
+  });
+
+  // Return job ID immediately with 202 Accepted
+  res.status(202).json({
+    job_id: jobId,
+    status: 'pending',
+    message: 'Job submitted successfully. Use /api/jobs/{job_id}/status to track progress.',
+    ...(estimatedCompletionTime && { estimated_completion_time: estimatedCompletionTime }),
+    status_url: `/api/jobs/${jobId}/status`,
+    result_url: `/api/jobs/${jobId}/result`,
+    ...response,
+    outputs: outputsResult.outputs,
+    callback_url: options.callbackUrl,
+    priority: options.priority
+  });
+}
+
+/**
+ * Submit an uploaded image as an async job of one of the built-in types
+ * Validates the output format and the image processing parameters (quality, scale, ...)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {string} jobType - Job type
+ * @param {Object} [jobOptions] - Job type specific options, stored on the job and echoed in the response
  */
-async function handleRemoveBackgroundAsync(req, res) {
+async function handleImageJobAsync(req, res, jobType, jobOptions = {}) {
   // Check if file exists
   if (!req.file) {
     return res.status(400).json({ error: 'No image file provided.' });
   }
-  
-  // Extract file data
-  const { buffer, mimetype } = req.file;
-  
+
   try {
-    // Convert buffer to base64
-    let imageBase64;
-    try {
-      imageBase64 = fileBufferToBase64(buffer, mimetype);
-    } catch (conversionError) {
-      console.error('Failed to convert image to base64:', conversionError);
-      return res.status(400).json({ error: 'Failed to convert image to base64.' });
-    }
-    
     // Extract format parameter from request body or query, default to PNG
     const format = (req.body.format || req.query.format || 'PNG').toUpperCase();
-    
+
     // Validate format
     const validFormats = ['PNG', 'JPEG', 'WEBP'];
     if (!validFormats.includes(format)) {
@@ -38,37 +116,23 @@ async function handleRemoveBackgroundAsync(req, res) {
         details: `Format must be one of: ${validFormats.join(', ')}`
       });
     }
-    
-    // Extract crop parameter from request body or query, default to true
-    const cropParam = req.body.crop ?? req.query.crop ?? true;
-    // Convert string 'false' to boolean false, everything else is truthy
-    const crop = cropParam !== 'false' && cropParam !== false;
-    
-    // Add job to processor queue
-    const jobProcessor = getJobProcessor();
-    const jobId = jobProcessor.addJob('remove-background', {
-      imageBase64: imageBase64,
-      imageSize: buffer.length,
-      mimeType: mimetype,
-      originalFilename: req.file.originalname,
-      format: format,
-      crop: crop
-    });
-    
-    // Return job ID immediately with 202 Accepted
-    res.status(202).json({
-      job_id: jobId,
-      status: 'pending',
-      message: 'Job submitted successfully. Use /api/jobs/{job_id}/status to track progress.',
-      estimated_completion_time: '30-60 seconds',
-      status_url: `/api/jobs/${jobId}/status`,
-      result_url: `/api/jobs/${jobId}/result`,
-      format: format,
-      crop: crop
+
+    // Parse the image processing parameters (quality, scale, ...)
+    const processing = parseProcessingParams(req, jobType);
+    if (processing.error) {
+      return res.status(processing.status || 400).json({ error: processing.error, details: processing.details });
+    }
+
+    const jobData = { format: format, ...jobOptions, params: processing.params };
+    return await submitAsyncJob(req, res, {
+      jobType: jobType,
+      jobData: jobData,
+      response: jobData,
+      estimatedCompletionTime: ESTIMATED_COMPLETION_TIMES[jobType]
     });
-    
+
   } catch (error) {
-    console.error('Unexpected error in handleRemoveBackgroundAsync:', error);
+    console.error(`Unexpected error submitting ${jobType} job:`, error);
     return res.status(500).json({
       error: 'An unexpected error occurred.',
       details: error.message
@@ -76,6 +140,21 @@ async function handleRemoveBackgroundAsync(req, res) {
   }
 }
 
+/**
+ * Asynchronous route handler for removing background from images
+ * Returns job ID immediately and processes in background
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleRemoveBackgroundAsync(req, res) {
+  // Extract crop parameter from request body or query, default to true
+  const cropParam = req.body.crop ?? req.query.crop ?? true;
+  // Convert string 'false' to boolean false, everything else is truthy
+  const crop = cropParam !== 'false' && cropParam !== false;
+
+  return handleImageJobAsync(req, res, 'remove-background', { crop: crop });
+}
+
 /**
  * Asynchronous route handler for upscaling images
  * Returns job ID immediately and processes in background
@@ -83,219 +162,401 @@ async function handleRemoveBackgroundAsync(req, res) {
  * @param {Object} res - Express response object
  */
 async function handleUpscaleImageAsync(req, res) {
-  // Check if file exists
-  if (!req.file) {
-    return res.status(400).json({ error: 'No image file provided.' });
-  }
+  return handleImageJobAsync(req, res, 'upscale-image');
+}
+
+/**
+ * Asynchronous route handler for upscaling and removing background from images
+ * Returns job ID immediately and processes in background
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleUpscaleRemoveBGAsync(req, res) {
+  return handleImageJobAsync(req, res, 'upscale-remove-bg');
+}
+
+/**
+ * Get job status with progress information
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getJobStatus(req, res) {
+  const { job_id } = req.params;
   
-  // Extract file data
-  const { buffer, mimetype } = req.file;
+  if (!job_id) {
+    return res.status(400).json({ error: 'Job ID is required' });
+  }
   
   try {
-    // Convert buffer to base64
-    let imageBase64;
-    try {
-      imageBase64 = fileBufferToBase64(buffer, mimetype);
-    } catch (conversionError) {
-      console.error('Failed to convert image to base64:', conversionError);
-      return res.status(400).json({ error: 'Failed to convert image to base64.' });
-    }
-    
-    // Extract format parameter from request body or query, default to PNG
-    const format = (req.body.format || req.query.format || 'PNG').toUpperCase();
+    const jobManager = getJobManager();
+    const job = jobManager.getJob(job_id);
     
-    // Validate format
-    const validFormats = ['PNG', 'JPEG', 'WEBP'];
-    if (!validFormats.includes(format)) {
-      return res.status(400).json({
-        error: 'Invalid format',
-        details: `Format must be one of: ${validFormats.join(', ')}`
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        job_id: job_id
       });
     }
     
-    // Add job to processor queue
-    const jobProcessor = getJobProcessor();
-    const jobId = jobProcessor.addJob('upscale-image', {
-      imageBase64: imageBase64,
-      imageSize: buffer.length,
-      mimeType: mimetype,
-      originalFilename: req.file.originalname,
-      format: format
-    });
-    
-    // Return job ID immediately with 202 Accepted
-    res.status(202).json({
-      job_id: jobId,
-      status: 'pending',
-      message: 'Job submitted successfully. Use /api/jobs/{job_id}/status to track progress.',
-      estimated_completion_time: '45-90 seconds',
-      status_url: `/api/jobs/${jobId}/status`,
-      result_url: `/api/jobs/${jobId}/result`,
-      format: format
-    });
-    
+    return res.status(200).json(buildStatusWithQueue(job));
   } catch (error) {
-    console.error('Unexpected error in handleUpscaleImageAsync:', error);
+    console.error('Error getting job status:', error);
     return res.status(500).json({
-      error: 'An unexpected error occurred.',
+      error: 'Failed to get job status',
       details: error.message
     });
   }
 }
 
 /**
- * Asynchronous route handler for upscaling and removing background from images
- * Returns job ID immediately and processes in background
+ * Look up a job whose result can be returned, sending the error response otherwise
+ * @param {string} jobId - Job ID
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Completed job, or null if an error response was sent
+ */
+function findCompletedJob(jobId, res) {
+  const job = getJobManager().getJob(jobId);
+  
+  if (!job) {
+    res.status(404).json({ 
+      error: 'Job not found',
+      job_id: jobId
+    });
+    return null;
+  }
+  
+  // Check if job is completed
+  if (job.status !== 'completed') {
+    res.status(409).json({
+      error: 'Job not completed',
+      status: job.status,
+      message: job.status === 'failed' 
+        ? 'Job failed to process' 
+        : job.status === 'cancelled'
+          ? 'Job was cancelled'
+          : `Job is currently ${job.status}. Check status endpoint for progress.`,
+      status_url: `/api/jobs/${jobId}/status`
+    });
+    return null;
+  }
+  
+  // Check if result exists
+  if (!job.result || !(job.result.key || job.result.base64)) {
+    res.status(500).json({
+      error: 'Job completed but result not available',
+      job_id: jobId
+    });
+    return null;
+  }
+  
+  return job;
+}
+
+/**
+ * Resolve the named output selected with ?output=, sending a 404 if the job has no such output
+ * @param {Object} job - Completed job
+ * @param {string} outputName - Requested output name (default output if empty)
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { name, output, isDefault }, or null if an error response was sent
+ */
+function findResultOutput(job, outputName, res) {
+  const outputs = job.result.outputs || {};
+  const defaultName = Object.keys(outputs)[0] || null;
+  
+  if (!outputName || outputName === defaultName) {
+    return { name: defaultName, output: job.result, isDefault: true };
+  }
+  
+  if (!outputs[outputName]) {
+    res.status(404).json({
+      error: 'Output not found',
+      details: `Job ${job.id} has outputs: ${Object.keys(outputs).join(', ') || 'none'}`
+    });
+    return null;
+  }
+  
+  return { name: outputName, output: outputs[outputName], isDefault: false };
+}
+
+/**
+ * Build the Content-Disposition header for a result download
+ * The name is the uploaded file's name with the extension of the result format,
+ * suffixed with the output name for any output but the default one
+ * @param {Object} job - Completed job
+ * @param {Object} selected - Selected output from findResultOutput
+ * @param {string} dispositionType - 'inline' or 'attachment'
+ * @returns {string} Header value with an ASCII fallback and an RFC 5987 filename*
+ */
+function buildContentDisposition(job, selected, dispositionType) {
+  const originalName = job.data.originalFilename || job.id;
+  const baseName = originalName.replace(/\.[^.]*$/, '') || job.id;
+  const suffix = selected.isDefault ? '' : `_${selected.name}`;
+  const filename = `${baseName}${suffix}.${getImageExtension(selected.output.mimeType)}`;
+  
+  const asciiFilename = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encodedFilename = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  
+  return `${dispositionType}; filename="${asciiFilename}"; filename*=UTF-8''${encodedFilename}`;
+}
+
+/**
+ * Stream the raw result image of a completed job
+ * Supports conditional requests (ETag / If-None-Match) and single byte ranges (Range / If-Range)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Object} job - Completed job
+ * @param {Object} selected - Selected output from findResultOutput
  */
-async function handleUpscaleRemoveBGAsync(req, res) {
-  // Check if file exists
-  if (!req.file) {
-    return res.status(400).json({ error: 'No image file provided.' });
+async function sendResultImage(req, res, job, selected) {
+  const { output } = selected;
+  let size;
+  let lastModified = new Date(job.completedTime || job.updatedTime);
+  let openStream;
+  
+  if (output.key) {
+    const stats = await getStorage().stat(output.key);
+    if (!stats) {
+      return res.status(500).json({
+        error: 'Job completed but result not available',
+        job_id: job.id
+      });
+    }
+    size = stats.size;
+    lastModified = stats.lastModified;
+    openStream = (range) => getStorage().createReadStream(output.key, range);
+  } else {
+    // Jobs persisted before results were kept in storage
+    const buffer = await getJobManager().readJobResult(job);
+    size = buffer.length;
+    openStream = async (range) => Readable.from([buffer.subarray(range.start || 0, range.end === undefined ? size : range.end + 1)]);
   }
   
-  // Extract file data
-  const { buffer, mimetype } = req.file;
+  // A job's outputs never change, so job ID, output name and size make a strong validator
+  const etag = `"${job.id}-${selected.name || 'result'}-${size.toString(16)}"`;
   
-  try {
-    // Convert buffer to base64
-    let imageBase64;
-    try {
-      imageBase64 = fileBufferToBase64(buffer, mimetype);
-    } catch (conversionError) {
-      console.error('Failed to convert image to base64:', conversionError);
-      return res.status(400).json({ error: 'Failed to convert image to base64.' });
+  res.set({
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString(),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-cache'
+  });
+  
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  
+  // Only a single range is served; anything else falls back to the full image
+  let range = {};
+  const ifRange = req.get('If-Range');
+  if (req.get('Range') && (!ifRange || ifRange === etag)) {
+    const ranges = req.range(size, { combine: true });
+    
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).json({
+        error: 'Range not satisfiable',
+        details: `The result image is ${size} bytes`
+      });
     }
     
-    // Extract format parameter from request body or query, default to PNG
-    const format = (req.body.format || req.query.format || 'PNG').toUpperCase();
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+  }
+  
+  res.set({
+    'Content-Type': output.mimeType || 'image/png',
+    'Content-Disposition': buildContentDisposition(job, selected, req.query.download === 'true' ? 'attachment' : 'inline'),
+    'Content-Length': String(range.end === undefined ? size : range.end - range.start + 1)
+  });
+  
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  
+  const stream = await openStream(range);
+  pipeline(stream, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`Error streaming result of job ${job.id}:`, error);
+    }
+  });
+}
+
+/**
+ * Get completed job result
+ * Returns JSON with a base64 data URI by default; clients that prefer the image's
+ * MIME type (e.g. Accept: image/*) get the raw bytes as from /result/image
+ * Query: output=<name> selects a named output instead of the default one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getJobResult(req, res) {
+  const { job_id } = req.params;
+  
+  if (!job_id) {
+    return res.status(400).json({ error: 'Job ID is required' });
+  }
+  
+  try {
+    const job = findCompletedJob(job_id, res);
+    if (!job) {
+      return;
+    }
     
-    // Validate format
-    const validFormats = ['PNG', 'JPEG', 'WEBP'];
-    if (!validFormats.includes(format)) {
-      return res.status(400).json({
-        error: 'Invalid format',
-        details: `Format must be one of: ${validFormats.join(', ')}`
-      });
+    const selected = findResultOutput(job, req.query.output, res);
+    if (!selected) {
+      return;
     }
     
-    // Add job to processor queue
-    const jobProcessor = getJobProcessor();
-    const jobId = jobProcessor.addJob('upscale-remove-bg', {
-      imageBase64: imageBase64,
-      imageSize: buffer.length,
-      mimeType: mimetype,
-      originalFilename: req.file.originalname,
-      format: format
-    });
+    res.vary('Accept');
+    const mimeType = selected.output.mimeType || 'image/png';
+    if (req.accepts(['application/json', mimeType]) === mimeType) {
+      return await sendResultImage(req, res, job, selected);
+    }
     
-    // Return job ID immediately with 202 Accepted
-    res.status(202).json({
-      job_id: jobId,
-      status: 'pending',
-      message: 'Job submitted successfully. Use /api/jobs/{job_id}/status to track progress.',
-      estimated_completion_time: '60-180 seconds',
-      status_url: `/api/jobs/${jobId}/status`,
-      result_url: `/api/jobs/${jobId}/result`,
-      format: format
-    });
+    // Return the result
+    const resultBuffer = await getJobManager().readJobResult(job, selected.isDefault ? null : selected.name);
+    const imageBase64 = fileBufferToBase64(resultBuffer, mimeType);
+    return res.status(200).json(buildJobResultResponse(job, imageBase64, selected.name));
     
   } catch (error) {
-    console.error('Unexpected error in handleUpscaleRemoveBGAsync:', error);
+    console.error('Error getting job result:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
     return res.status(500).json({
-      error: 'An unexpected error occurred.',
+      error: 'Failed to get job result',
       details: error.message
     });
   }
 }
 
 /**
- * Get job status with progress information
+ * Download the raw result image of a completed job
+ * Query: output=<name> selects a named output, download=true sends
+ * Content-Disposition: attachment instead of inline
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-async function getJobStatus(req, res) {
+async function getJobResultImage(req, res) {
   const { job_id } = req.params;
   
-  if (!job_id) {
-    return res.status(400).json({ error: 'Job ID is required' });
-  }
-  
   try {
-    const jobManager = getJobManager();
-    const job = jobManager.getJob(job_id);
-    
+    const job = findCompletedJob(job_id, res);
     if (!job) {
-      return res.status(404).json({ 
-        error: 'Job not found',
-        job_id: job_id
-      });
+      return;
     }
     
-    // Calculate processing time and estimated completion
-    const now = Date.now();
-    const processingTime = Math.round((now - job.createdTime) / 1000);
-    const estimatedTotal = getEstimatedDuration(job.type);
-    const remainingTime = Math.max(0, estimatedTotal - processingTime);
-    
-    const response = {
-      job_id: job_id,
-      status: job.status,
-      type: job.type,
-      created_time: new Date(job.createdTime).toISOString(),
-      updated_time: new Date(job.updatedTime).toISOString(),
-      processing_time_seconds: processingTime,
-      comfyui_instance: job.comfyuiInstance
-    };
-    
-    // Add status-specific information
-    switch (job.status) {
-      case 'pending':
-        response.message = 'Job is queued for processing';
-        response.estimated_completion_time_seconds = estimatedTotal;
-        break;
-        
-      case 'processing':
-        response.message = 'Job is currently being processed';
-        response.prompt_id = job.promptId;
-        response.estimated_remaining_time_seconds = remainingTime;
-        response.progress_percentage = Math.min(95, Math.round((processingTime / estimatedTotal) * 100));
-        break;
-        
-      case 'completed':
-        response.message = 'Job completed successfully';
-        response.completed_time = new Date(job.completedTime || job.updatedTime).toISOString();
-        response.result_url = `/api/jobs/${job_id}/result`;
-        response.progress_percentage = 100;
-        break;
-        
-      case 'failed':
-        response.message = 'Job failed to process';
-        response.error = job.error;
-        response.failed_time = new Date(job.failedTime || job.updatedTime).toISOString();
-        if (job.errorDetails) {
-          response.error_details = job.errorDetails;
-        }
-        break;
+    const selected = findResultOutput(job, req.query.output, res);
+    if (!selected) {
+      return;
     }
     
-    return res.status(200).json(response);
+    return await sendResultImage(req, res, job, selected);
+    
   } catch (error) {
-    console.error('Error getting job status:', error);
+    console.error('Error getting job result image:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
     return res.status(500).json({
-      error: 'Failed to get job status',
+      error: 'Failed to get job result',
       details: error.message
     });
   }
 }
 
 /**
- * Get completed job result (image)
+ * Stream job state changes as Server-Sent Events
+ * Sends the current status immediately, then every status transition and the
+ * node-level ComfyUI progress (executing, progress, executed, cached) until the job finishes
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-async function getJobResult(req, res) {
+function streamJobEvents(req, res) {
+  const { job_id } = req.params;
+  
+  const jobManager = getJobManager();
+  const jobProcessor = getJobProcessor();
+  const job = jobManager.getJob(job_id);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      job_id: job_id
+    });
+  }
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  
+  let eventId = 0;
+  const sendEvent = (eventName, data) => {
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  const onStatusChanged = (updatedJob) => {
+    if (updatedJob.id !== job_id) {
+      return;
+    }
+    sendEvent('status', buildStatusWithQueue(updatedJob));
+    
+    if (jobManager.isTerminalStatus(updatedJob.status)) {
+      closeStream();
+    }
+  };
+  
+  const onExecutionEvent = (eventJobId, event) => {
+    if (eventJobId === job_id) {
+      sendEvent(event.type, event);
+    }
+  };
+  
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, 15000);
+  
+  let closed = false;
+  const closeStream = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    jobManager.off('statusChanged', onStatusChanged);
+    jobProcessor.off('executionEvent', onExecutionEvent);
+    res.end();
+  };
+  
+  req.on('close', closeStream);
+  
+  // Current state first, so late subscribers are not left waiting for the next transition
+  sendEvent('status', buildStatusWithQueue(job));
+  
+  if (jobManager.isTerminalStatus(job.status)) {
+    return closeStream();
+  }
+  
+  jobManager.on('statusChanged', onStatusChanged);
+  jobProcessor.on('executionEvent', onExecutionEvent);
+}
+
+/**
+ * Cancel a pending or processing job
+ * Removes the prompt from the ComfyUI queue or interrupts it if already running
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function cancelJob(req, res) {
   const { job_id } = req.params;
   
   if (!job_id) {
@@ -303,81 +564,51 @@ async function getJobResult(req, res) {
   }
   
   try {
-    const jobManager = getJobManager();
-    const job = jobManager.getJob(job_id);
-    
-    if (!job) {
-      return res.status(404).json({ 
-        error: 'Job not found',
-        job_id: job_id
-      });
-    }
+    const jobProcessor = getJobProcessor();
+    const outcome = await jobProcessor.cancelJob(job_id);
     
-    // Check if job is completed
-    if (job.status !== 'completed') {
+    if (!outcome.cancelled) {
+      if (outcome.reason === 'not_found') {
+        return res.status(404).json({
+          error: 'Job not found',
+          job_id: job_id
+        });
+      }
+      
       return res.status(409).json({
-        error: 'Job not completed',
-        status: job.status,
-        message: job.status === 'failed' 
-          ? 'Job failed to process' 
-          : `Job is currently ${job.status}. Check status endpoint for progress.`,
+        error: 'Job cannot be cancelled',
+        status: outcome.status,
+        message: `Job has already finished with status ${outcome.status}`,
         status_url: `/api/jobs/${job_id}/status`
       });
     }
     
-    // Check if result exists
-    if (!job.result || !job.result.base64) {
-      return res.status(500).json({
-        error: 'Job completed but result not available',
-        job_id: job_id
-      });
-    }
-    
-    // Return the result
     return res.status(200).json({
       job_id: job_id,
-      status: 'completed',
-      type: job.type,
-      completed_time: new Date(job.completedTime || job.updatedTime).toISOString(),
-      processing_time_seconds: Math.round((job.updatedTime - job.createdTime) / 1000),
-      result: {
-        image_base64: job.result.base64,
-        prompt_id: job.result.promptId
-      }
+      status: 'cancelled',
+      previous_status: outcome.previousStatus,
+      comfyui_action: outcome.comfyuiAction,
+      message: 'Job cancelled successfully',
+      status_url: `/api/jobs/${job_id}/status`
     });
     
   } catch (error) {
-    console.error('Error getting job result:', error);
+    console.error('Error cancelling job:', error);
     return res.status(500).json({
-      error: 'Failed to get job result',
+      error: 'Failed to cancel job',
       details: error.message
     });
   }
 }
 
-
-/**
- * Get estimated duration for different workflow types
- * @param {string} workflowType - Type of workflow
- * @returns {number} Estimated duration in seconds
- */
-function getEstimatedDuration(workflowType) {
-  switch (workflowType) {
-    case 'remove-background':
-      return 45; // 45 seconds
-    case 'upscale-image':
-      return 60; // 60 seconds
-    case 'upscale-remove-bg':
-      return 90; // 90 seconds (combines both operations)
-    default:
-      return 30; // Default 30 seconds
-  }
-}
-
 module.exports = {
   handleRemoveBackgroundAsync,
   handleUpscaleImageAsync,
   handleUpscaleRemoveBGAsync,
+  submitAsyncJob,
   getJobStatus,
-  getJobResult
+  getJobResult,
+  getJobResultImage,
+  streamJobEvents,
+  cancelJob
 };
\ No newline at end of file
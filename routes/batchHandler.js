@@ -0,0 +1,426 @@
+const { v4: uuidv4 } = require('uuid');
+const { base64ToImageData } = require('../utils/imageUtils');
+const { validateImage } = require('../utils/imageValidation');
+const { getJobProcessor } = require('../services/jobProcessor');
+const { getJobManager } = require('../services/jobManager');
+const { parseSubmissionOptions, parseOutputsOption, parseProcessingParams } = require('../utils/submissionOptions');
+const { buildQueueFullResponse } = require('../utils/jobResponses');
+const { createRequestLogger } = require('../utils/logger');
+
+// Job types that can be submitted as a batch
+const BATCH_JOB_TYPES = ['remove-background', 'upscale-image', 'upscale-remove-bg'];
+
+const MAX_BATCH_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 100;
+
+/**
+ * Collect the images of a batch request
+ * Multipart uploads use the imageFiles field, JSON requests an `images` array of
+ * base64 strings or { image_base64, filename } objects
+ * @param {Object} req - Express request object
+ * @returns {Object} { images: [{ path, hash, size, mimeType, filename }] } for uploads,
+ *   { images: [{ buffer, size, mimeType, filename }] } for JSON, or { error, details }
+ */
+function collectBatchImages(req) {
+  if (req.files && req.files.length > 0) {
+    return {
+      images: req.files.map(file => ({
+        path: file.path,
+        hash: file.sha256,
+        size: file.size,
+        mimeType: file.mimetype,
+        filename: file.originalname
+      }))
+    };
+  }
+
+  if (!Array.isArray(req.body.images) || req.body.images.length === 0) {
+    return {
+      error: 'No images provided.',
+      details: 'Upload files in the imageFiles field or send a JSON body with an images array'
+    };
+  }
+
+  const images = [];
+  for (let index = 0; index < req.body.images.length; index++) {
+    const item = req.body.images[index];
+    const value = typeof item === 'string' ? item : item && item.image_base64;
+
+    try {
+      const { buffer, mimeType } = base64ToImageData(value);
+      images.push({
+        buffer: buffer,
+        size: buffer.length,
+        mimeType: mimeType,
+        filename: (item && item.filename) || `image-${index + 1}`
+      });
+    } catch (decodeError) {
+      return {
+        error: 'Invalid image in batch',
+        details: `images[${index}]: ${decodeError.message}`
+      };
+    }
+  }
+
+  return { images };
+}
+
+/**
+ * Parse the per-type processing options applied to every job of a batch
+ * @param {string} type - Job type
+ * @param {Object} req - Express request object
+ * @returns {Object} { jobOptions } or { error, details, status }
+ */
+function parseBatchJobOptions(type, req) {
+  const format = String(req.body.format || req.query.format || 'PNG').toUpperCase();
+
+  const validFormats = ['PNG', 'JPEG', 'WEBP'];
+  if (!validFormats.includes(format)) {
+    return {
+      error: 'Invalid format',
+      details: `Format must be one of: ${validFormats.join(', ')}`
+    };
+  }
+
+  const jobOptions = { format: format };
+
+  if (type === 'remove-background') {
+    const cropParam = req.body.crop ?? req.query.crop ?? true;
+    jobOptions.crop = cropParam !== 'false' && cropParam !== false;
+  }
+
+  const processing = parseProcessingParams(req, type);
+  if (processing.error) {
+    return { error: processing.error, details: processing.details, status: processing.status };
+  }
+  jobOptions.params = processing.params;
+
+  const { outputs, error, details } = parseOutputsOption(req, getJobProcessor().getOutputNames(type));
+  if (error) {
+    return { error, details };
+  }
+  jobOptions.outputs = outputs;
+
+  return { jobOptions };
+}
+
+/**
+ * Derive the overall status of a batch from its jobs
+ * Expired jobs are not in the counts, so a batch with expired jobs is never
+ * reported as entirely pending, completed, failed or cancelled
+ * @param {Object} counts - Job counts by status of the jobs still known
+ * @param {number} total - Number of jobs submitted in the batch
+ * @returns {string} Batch status
+ */
+function deriveBatchStatus(counts, total) {
+  if (counts.processing > 0) {
+    return 'processing';
+  }
+  if (counts.pending > 0) {
+    return counts.pending === total ? 'pending' : 'processing';
+  }
+  if (counts.completed === total) {
+    return 'completed';
+  }
+  if (counts.failed === total) {
+    return 'failed';
+  }
+  if (counts.cancelled === total) {
+    return 'cancelled';
+  }
+  return 'partially_completed';
+}
+
+/**
+ * Submit a batch of images as one async job per image
+ * Returns the batch ID and job IDs immediately with 202 Accepted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleBatchSubmission(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { type } = req.params;
+
+  if (!BATCH_JOB_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid batch type',
+      details: `Type must be one of: ${BATCH_JOB_TYPES.join(', ')}`
+    });
+  }
+
+  try {
+    const { images, error: imagesError, details: imagesDetails } = collectBatchImages(req);
+    if (imagesError) {
+      return res.status(400).json({ error: imagesError, details: imagesDetails });
+    }
+
+    if (images.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        error: 'Batch too large',
+        details: `A batch can contain at most ${MAX_BATCH_ITEMS} images`
+      });
+    }
+
+    // Uploaded files were validated by the image validation middleware, base64 images are checked here
+    for (const [index, image] of images.entries()) {
+      if (!image.buffer) {
+        continue;
+      }
+      const validation = await validateImage(image.buffer, type);
+      if (validation.error) {
+        return res.status(validation.status).json({
+          error: validation.error,
+          code: validation.code,
+          details: `images[${index}]: ${validation.details}`
+        });
+      }
+    }
+
+    const { jobOptions, error: optionsError, details: optionsDetails, status: optionsStatus } = parseBatchJobOptions(type, req);
+    if (optionsError) {
+      return res.status(optionsStatus || 400).json({ error: optionsError, details: optionsDetails });
+    }
+
+    const { options, error, details } = parseSubmissionOptions(req);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    // The whole batch must fit in the queue
+    const jobProcessor = getJobProcessor();
+    const queueRejection = jobProcessor.checkQueueCapacity(type, images.length);
+    if (queueRejection) {
+      res.set('Retry-After', String(queueRejection.retryAfterSeconds));
+      return res.status(429).json(buildQueueFullResponse(queueRejection));
+    }
+
+    const batchId = uuidv4();
+
+    const jobs = [];
+    try {
+      for (const [index, image] of images.entries()) {
+        const jobId = await jobProcessor.addJob(type, {
+          imageBuffer: image.buffer,
+          imagePath: image.path,
+          imageHash: image.hash,
+          imageSize: image.size,
+          mimeType: image.mimeType,
+          originalFilename: image.filename,
+          ...jobOptions,
+          callbackUrl: options.callbackUrl,
+          callbackIncludeResult: options.callbackIncludeResult,
+          priority: options.priority,
+          batchId: batchId,
+          batchIndex: index,
+          batchSize: images.length
+        });
+
+        jobs.push({
+          index: index,
+          job_id: jobId,
+          filename: image.filename,
+          status_url: `/api/jobs/${jobId}/status`,
+          result_url: `/api/jobs/${jobId}/result`
+        });
+      }
+    } catch (submitError) {
+      // All or nothing: the jobs already created must not run, nor stay stored and count
+      // against the queue, for a batch the client never got. Removing a job releases its files
+      const jobManager = getJobManager();
+      for (const job of jobs) {
+        try {
+          await jobProcessor.cancelJob(job.job_id);
+        } catch (cancelError) {
+          logger.warn('Failed to cancel job of a failed batch', {
+            batchId: batchId,
+            jobId: job.job_id,
+            error: cancelError.message
+          });
+        }
+        jobManager.deleteJob(job.job_id);
+      }
+      logger.error('Batch submission failed, removed the jobs already created', {
+        batchId: batchId,
+        failedIndex: jobs.length,
+        removedJobs: jobs.length,
+        error: submitError.message,
+        stack: submitError.stack
+      });
+      return res.status(500).json({
+        error: 'Failed to submit batch',
+        details: `images[${jobs.length}]: ${submitError.message}; removed the ${jobs.length} job(s) already created`
+      });
+    }
+
+    logger.info('Batch created', {
+      batchId: batchId,
+      jobType: type,
+      jobs: jobs.length
+    });
+
+    res.status(202).json({
+      batch_id: batchId,
+      type: type,
+      status: 'pending',
+      total: jobs.length,
+      message: 'Batch submitted successfully. Use /api/batches/{batch_id} to track progress.',
+      batch_url: `/api/batches/${batchId}`,
+      cancel_url: `/api/batches/${batchId}/cancel`,
+      priority: options.priority,
+      ...jobOptions,
+      jobs: jobs
+    });
+
+  } catch (error) {
+    logger.error('Unexpected error in handleBatchSubmission', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'An unexpected error occurred.',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Get aggregate progress of a batch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getBatchStatus(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { batch_id } = req.params;
+
+  try {
+    const jobManager = getJobManager();
+    const jobs = jobManager.getJobsByBatch(batch_id);
+
+    if (jobs.length === 0) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        batch_id: batch_id,
+        message: 'Batch may have expired or never existed'
+      });
+    }
+
+    const counts = { pending: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+
+    // Jobs cleaned up after expiry are no longer known and are reported as expired;
+    // they count as finished, since their outcome can no longer change
+    const total = jobs[0].data.batchSize;
+    const expired = total - jobs.length;
+    const finished = counts.completed + counts.failed + counts.cancelled + expired;
+
+    const items = jobs.map(job => {
+      const item = {
+        index: job.data.batchIndex,
+        job_id: job.id,
+        filename: job.data.originalFilename,
+        status: job.status,
+        status_url: `/api/jobs/${job.id}/status`
+      };
+      if (job.status === 'completed') {
+        item.result_url = `/api/jobs/${job.id}/result`;
+        item.image_url = `/api/jobs/${job.id}/result/image`;
+      }
+      if (job.status === 'failed') {
+        item.error = job.error;
+      }
+      return item;
+    });
+
+    return res.status(200).json({
+      batch_id: batch_id,
+      type: jobs[0].type,
+      status: deriveBatchStatus(counts, total),
+      total: total,
+      expired: expired,
+      counts: counts,
+      progress_percentage: Math.floor((finished / total) * 100),
+      created_time: new Date(Math.min(...jobs.map(job => job.createdTime))).toISOString(),
+      updated_time: new Date(Math.max(...jobs.map(job => job.updatedTime))).toISOString(),
+      items: items
+    });
+
+  } catch (error) {
+    logger.error('Failed to get batch status', {
+      batchId: batch_id,
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to get batch status',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Cancel every pending or processing job of a batch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function cancelBatch(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { batch_id } = req.params;
+
+  try {
+    const jobManager = getJobManager();
+    const jobProcessor = getJobProcessor();
+    const jobs = jobManager.getJobsByBatch(batch_id);
+
+    if (jobs.length === 0) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        batch_id: batch_id
+      });
+    }
+
+    let cancelled = 0;
+    let alreadyFinished = 0;
+
+    for (const job of jobs) {
+      const outcome = await jobProcessor.cancelJob(job.id);
+      if (outcome.cancelled) {
+        cancelled++;
+      } else {
+        alreadyFinished++;
+      }
+    }
+
+    logger.info('Batch cancelled', {
+      batchId: batch_id,
+      cancelled: cancelled,
+      alreadyFinished: alreadyFinished
+    });
+
+    return res.status(200).json({
+      batch_id: batch_id,
+      cancelled: cancelled,
+      already_finished: alreadyFinished,
+      message: `Cancelled ${cancelled} of ${jobs.length} jobs`,
+      batch_url: `/api/batches/${batch_id}`
+    });
+
+  } catch (error) {
+    logger.error('Failed to cancel batch', {
+      batchId: batch_id,
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to cancel batch',
+      details: error.message
+    });
+  }
+}
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  handleBatchSubmission,
+  getBatchStatus,
+  cancelBatch
+};
@@ -0,0 +1,349 @@
+const { getDeadLetterQueue } = require('../services/deadLetterQueue');
+const { getJobProcessor } = require('../services/jobProcessor');
+const { fileBufferToBase64 } = require('../utils/imageUtils');
+const { buildQueueFullResponse } = require('../utils/jobResponses');
+const { createRequestLogger } = require('../utils/logger');
+
+/**
+ * Remove the input image from a dead-letter entry to prevent huge responses
+ * Only legacy entries hold the image inline; newer ones reference it by storage key
+ * @param {Object} entry - Dead-letter entry
+ * @returns {Object} Entry without base64 data
+ */
+function sanitizeEntry(entry) {
+  const sanitized = { ...entry, data: { ...entry.data } };
+
+  if (sanitized.data.imageBase64) {
+    sanitized.data.imageBase64_size = sanitized.data.imageBase64.length;
+    delete sanitized.data.imageBase64;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Parse the list/replay/purge filters from the query string
+ * @param {Object} query - Express query object
+ * @returns {Object} { filters } or { error, details }
+ */
+function parseFilters(query) {
+  const filters = {
+    type: query.type,
+    errorClass: query.error_class,
+    instance: query.instance
+  };
+
+  if (query.since) {
+    const since = isNaN(query.since) ? Date.parse(query.since) : parseInt(query.since);
+    if (isNaN(since)) {
+      return {
+        error: 'Invalid since',
+        details: 'since must be an ISO 8601 date or a timestamp in milliseconds'
+      };
+    }
+    filters.since = since;
+  }
+
+  return { filters };
+}
+
+/**
+ * Replay a dead-letter entry as a new job linked to the failed one
+ * The webhook callback of the original submission is only fired again when asked for,
+ * its receiver has already been told the job failed
+ * @param {Object} entry - Dead-letter entry
+ * @param {boolean} resendCallback - Keep the original callback_url on the replay
+ * @param {Object} logger - Request logger
+ * @returns {Promise<string>} New job ID
+ */
+async function replayEntry(entry, resendCallback, logger) {
+  const deadLetterQueue = getDeadLetterQueue();
+
+  // Drop fields that belong to the original submission
+  const { cacheKey, submittedAt, batchId, batchIndex, batchSize, replayOf, inputKey, imageBase64, ...jobData } = entry.data;
+  if (!resendCallback) {
+    delete jobData.callbackUrl;
+    delete jobData.callbackIncludeResult;
+  }
+
+  const jobId = await getJobProcessor().addJob(entry.type, {
+    ...jobData,
+    imageBuffer: await deadLetterQueue.readInput(entry),
+    replayOf: entry.id
+  });
+
+  deadLetterQueue.recordReplay(entry.id, jobId);
+  logger.info('Dead-letter job replayed', {
+    deadLetterJobId: entry.id,
+    jobId: jobId
+  });
+
+  return jobId;
+}
+
+/**
+ * Reject a replay that does not fit in the job queue with 429 and Retry-After
+ * @param {Array<Object>} entries - Dead-letter entries to replay
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if the replay was rejected and the response sent
+ */
+function rejectIfQueueFull(entries, res) {
+  const jobCounts = {};
+  for (const entry of entries) {
+    jobCounts[entry.type] = (jobCounts[entry.type] || 0) + 1;
+  }
+
+  const queueRejection = getJobProcessor().checkQueueCapacityForJobs(jobCounts);
+  if (!queueRejection) {
+    return false;
+  }
+
+  res.set('Retry-After', String(queueRejection.retryAfterSeconds));
+  res.status(429).json(buildQueueFullResponse(queueRejection));
+  return true;
+}
+
+/**
+ * List dead-letter entries (excludes base64 data)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listDeadLetters(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { filters, error, details } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error, details });
+  }
+
+  try {
+    const deadLetterQueue = getDeadLetterQueue();
+    const entries = deadLetterQueue.list(filters).map(entry => sanitizeEntry(entry));
+
+    return res.status(200).json({
+      entries: entries,
+      total: entries.length,
+      stats: deadLetterQueue.getStats()
+    });
+  } catch (error) {
+    logger.error('Failed to list dead-letter jobs', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to list dead-letter jobs',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Inspect a dead-letter entry
+ * The input image is only included with ?include_image=true
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDeadLetter(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { jobId } = req.params;
+
+  try {
+    const deadLetterQueue = getDeadLetterQueue();
+    const entry = deadLetterQueue.get(jobId);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter job not found' });
+    }
+
+    if (req.query.include_image === 'true' && deadLetterQueue.hasInput(entry)) {
+      const inputBuffer = await deadLetterQueue.readInput(entry);
+      return res.status(200).json({
+        ...entry,
+        data: { ...entry.data, imageBase64: fileBufferToBase64(inputBuffer, entry.data.mimeType) }
+      });
+    }
+
+    return res.status(200).json(sanitizeEntry(entry));
+  } catch (error) {
+    logger.error('Failed to get dead-letter job', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to get dead-letter job',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Replay a single dead-letter entry as a new job
+ * The entry is kept so the link between the failed job and its replays stays visible
+ * Query: resend_callback=true fires the original webhook callback again for the replay
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function replayDeadLetter(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { jobId } = req.params;
+
+  try {
+    const deadLetterQueue = getDeadLetterQueue();
+    const entry = deadLetterQueue.get(jobId);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter job not found' });
+    }
+
+    if (!deadLetterQueue.hasInput(entry)) {
+      return res.status(409).json({
+        error: 'Job cannot be replayed',
+        details: 'The input image of this job was not retained'
+      });
+    }
+
+    if (rejectIfQueueFull([entry], res)) {
+      return;
+    }
+
+    const newJobId = await replayEntry(entry, req.query.resend_callback === 'true', logger);
+
+    return res.status(202).json({
+      job_id: newJobId,
+      replay_of: jobId,
+      status: 'pending',
+      message: 'Job replayed successfully. Use /api/jobs/{job_id}/status to check progress.',
+      status_url: `/api/jobs/${newJobId}/status`,
+      result_url: `/api/jobs/${newJobId}/result`
+    });
+  } catch (error) {
+    logger.error('Failed to replay dead-letter job', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to replay dead-letter job',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Replay every dead-letter entry matching the query filters
+ * The replay is rejected as a whole if the replayable entries do not all fit in the queue
+ * Query: resend_callback=true fires the original webhook callbacks again for the replays
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function replayDeadLetters(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { filters, error, details } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error, details });
+  }
+
+  try {
+    const deadLetterQueue = getDeadLetterQueue();
+    const entries = deadLetterQueue.list(filters);
+    const replayable = entries.filter(entry => deadLetterQueue.hasInput(entry));
+    const skipped = entries.length - replayable.length;
+
+    if (replayable.length > 0 && rejectIfQueueFull(replayable, res)) {
+      return;
+    }
+
+    const replayed = [];
+    for (const entry of replayable) {
+      replayed.push({ replay_of: entry.id, job_id: await replayEntry(entry, req.query.resend_callback === 'true', logger) });
+    }
+
+    return res.status(202).json({
+      message: `Replayed ${replayed.length} dead-letter jobs`,
+      replayed: replayed.length,
+      skipped: skipped,
+      jobs: replayed
+    });
+  } catch (error) {
+    logger.error('Failed to replay dead-letter jobs', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to replay dead-letter jobs',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Purge a single dead-letter entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function purgeDeadLetter(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { jobId } = req.params;
+
+  try {
+    if (!getDeadLetterQueue().remove(jobId)) {
+      return res.status(404).json({ error: 'Dead-letter job not found' });
+    }
+
+    return res.status(200).json({ message: 'Dead-letter job purged successfully' });
+  } catch (error) {
+    logger.error('Failed to purge dead-letter job', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to purge dead-letter job',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Purge every dead-letter entry matching the query filters (all entries without filters)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function purgeDeadLetters(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+  const { filters, error, details } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error, details });
+  }
+
+  try {
+    const deadLetterQueue = getDeadLetterQueue();
+    const entries = deadLetterQueue.list(filters);
+
+    entries.forEach(entry => deadLetterQueue.remove(entry.id));
+    logger.info('Dead-letter jobs purged', {
+      purged: entries.length,
+      filters: filters
+    });
+
+    return res.status(200).json({
+      message: `Purged ${entries.length} dead-letter jobs`,
+      purgedCount: entries.length
+    });
+  } catch (error) {
+    logger.error('Failed to purge dead-letter jobs', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to purge dead-letter jobs',
+      details: error.message
+    });
+  }
+}
+
+module.exports = {
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetter,
+  purgeDeadLetters
+};
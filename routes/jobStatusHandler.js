@@ -117,6 +117,7 @@ async function getJobStats(req, res) {
 
 /**
  * Delete a job manually
+ * Pending or processing jobs are cancelled first so the ComfyUI instance is freed
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -129,6 +130,12 @@ async function deleteJob(req, res) {
   
   try {
     const jobManager = getJobManager();
+    const job = jobManager.getJob(jobId);
+    
+    if (job && !jobManager.isTerminalStatus(job.status)) {
+      await getJobProcessor().cancelJob(jobId);
+    }
+    
     const success = jobManager.deleteJob(jobId);
     
     if (!success) {
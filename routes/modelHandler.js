@@ -0,0 +1,67 @@
+const { getModelCatalog } = require('../services/modelCatalog');
+const { getWorkflowRegistry } = require('../services/workflowRegistry');
+const { createRequestLogger } = require('../utils/logger');
+
+/**
+ * Get the default upscale model of each workflow that has a model parameter
+ * @returns {Object} Workflow name -> default model file name
+ */
+function getDefaultModels() {
+  const defaults = {};
+  for (const entry of getWorkflowRegistry().list()) {
+    const definition = Object.values(entry.parameters).find(parameter => parameter.type === 'upscale_model');
+    if (definition && definition.default !== undefined) {
+      defaults[entry.name] = definition.default;
+    }
+  }
+  return defaults;
+}
+
+/**
+ * List the upscale models installed on the ComfyUI instances
+ * GET /api/models/upscale
+ * Optional query: refresh=true to re-read the catalogue from the instances first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listUpscaleModels(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+
+  try {
+    const catalog = getModelCatalog();
+    if (req.query.refresh === 'true') {
+      await catalog.refresh();
+    }
+
+    const models = catalog.getUpscaleModels();
+
+    res.json({
+      models: models,
+      total: models.length,
+      defaults: getDefaultModels(),
+      instances: catalog.getInstancesStatus().map(instance => ({
+        id: instance.id,
+        host: instance.host,
+        models: instance.models,
+        last_refresh: instance.lastRefreshTime ? new Date(instance.lastRefreshTime).toISOString() : null,
+        error: instance.error
+      })),
+      last_refresh: catalog.lastRefreshTime ? new Date(catalog.lastRefreshTime).toISOString() : null,
+      refresh_interval_ms: catalog.refreshInterval
+    });
+  } catch (error) {
+    logger.error('Failed to list upscale models', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to list upscale models',
+      details: error.message
+    });
+  }
+}
+
+module.exports = {
+  listUpscaleModels
+};
@@ -1,7 +1,8 @@
-const { fileBufferToBase64 } = require('../utils/imageUtils');
+const { fileToBase64 } = require('../utils/imageUtils');
 const { executeWorkflow } = require('../services/comfyuiService');
-const { getRemoveBackgroundWorkflow, getRemoveBackgroundAndCropWorkflow } = require('../workflows');
+const { getWorkflowRegistry } = require('../services/workflowRegistry');
 const { handleRemoveBackgroundAsync } = require('./asyncJobHandler');
+const { parseProcessingParams } = require('../utils/submissionOptions');
 
 /**
  * Express route handler for removing background from images
@@ -23,13 +24,13 @@ async function handleRemoveBackground(req, res) {
   }
   
   // Extract file data
-  const { buffer, mimetype } = req.file;
+  const { path: filePath, mimetype } = req.file;
   
   try {
-    // Convert buffer to base64
+    // Read the uploaded file and convert it to base64
     let imageBase64;
     try {
-      imageBase64 = fileBufferToBase64(buffer, mimetype);
+      imageBase64 = await fileToBase64(filePath, mimetype);
     } catch (conversionError) {
       console.error('Failed to convert image to base64:', conversionError);
       return res.status(500).json({ error: 'Failed to convert image to base64.' });
@@ -52,11 +53,15 @@ async function handleRemoveBackground(req, res) {
     // Convert string 'false' to boolean false, everything else is truthy
     const crop = cropParam !== 'false' && cropParam !== false;
     
-    // Get the appropriate workflow based on crop parameter
-    const workflow = crop ? getRemoveBackgroundAndCropWorkflow(format) : getRemoveBackgroundWorkflow(format);
+    // Parse the image processing parameters (quality, scale, ...)
+    const processing = parseProcessingParams(req, 'remove-background');
+    if (processing.error) {
+      return res.status(processing.status || 400).json({ error: processing.error, details: processing.details });
+    }
     
-    // Set the appropriate target node based on workflow type
-    const targetNode = crop ? '7' : '17';
+    // Get the registered workflow matching the crop parameter and its default output node
+    const { workflow, outputNodes } = getWorkflowRegistry().buildWorkflow('remove-background', { format, crop, ...processing.params });
+    const targetNode = Object.values(outputNodes)[0];
     
     // Execute the workflow
     try {
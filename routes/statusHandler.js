@@ -56,6 +56,14 @@ async function getSystemHealth(req, res) {
       healthIssues.push('Job processor not running');
     }
     
+    // Check queue fill level against the submission limit
+    const queueUsage = jobProcessor.getQueueUsage();
+    const queueUtilization = Math.round((queueUsage.pending / queueUsage.maxPending) * 100);
+    if (queueUtilization >= 90) {
+      if (systemStatus === 'healthy') systemStatus = 'degraded';
+      healthIssues.push(`Job queue ${queueUtilization}% full (${queueUsage.pending}/${queueUsage.maxPending} pending)`);
+    }
+    
     // Check for high error rate (>20% in recent metrics)
     const errorRate = parseFloat(metricsStats.jobs.error_rate.replace('%', ''));
     if (errorRate > 20 && metricsStats.jobs.total > 10) {
@@ -98,7 +106,18 @@ async function getSystemHealth(req, res) {
         max_concurrent_jobs: processorStats.maxConcurrentJobs,
         total_jobs_in_memory: jobManagerStats.total,
         pending_jobs: jobManagerStats.byStatus.pending || 0,
-        processing_jobs: jobManagerStats.byStatus.processing || 0
+        processing_jobs: jobManagerStats.byStatus.processing || 0,
+        queue: {
+          pending: queueUsage.pending,
+          max_pending: queueUsage.maxPending,
+          utilization_percentage: queueUtilization,
+          full: queueUsage.pending >= queueUsage.maxPending,
+          by_type: Object.fromEntries(Object.entries(queueUsage.byType).map(([jobType, usage]) => [jobType, {
+            pending: usage.pending,
+            max_pending: usage.maxPending,
+            full: usage.maxPending ? usage.pending >= usage.maxPending : false
+          }]))
+        }
       },
       connections: {
         total_pools: Object.keys(connectionStats).length,
@@ -1,7 +1,8 @@
-const { fileBufferToBase64 } = require('../utils/imageUtils.js');
+const { fileToBase64 } = require('../utils/imageUtils.js');
 const { executeWorkflow } = require('../services/comfyuiService.js');
-const { getUpscaleImageWorkflow } = require('../workflows.js');
+const { getWorkflowRegistry } = require('../services/workflowRegistry.js');
 const { handleUpscaleImageAsync } = require('./asyncJobHandler');
+const { parseProcessingParams } = require('../utils/submissionOptions.js');
 
 /**
  * Express route handler for upscaling images
@@ -23,13 +24,13 @@ async function handleUpscaleImage(req, res) {
   }
   
   // Extract file data
-  const { buffer, mimetype } = req.file;
+  const { path: filePath, mimetype } = req.file;
   
   try {
-    // Convert buffer to base64
+    // Read the uploaded file and convert it to base64
     let imageBase64;
     try {
-      imageBase64 = fileBufferToBase64(buffer, mimetype);
+      imageBase64 = await fileToBase64(filePath, mimetype);
     } catch (conversionError) {
       console.error('Failed to convert image to base64:', conversionError);
       return res.status(500).json({ error: 'Failed to convert image to base64.' });
@@ -47,12 +48,19 @@ async function handleUpscaleImage(req, res) {
       });
     }
     
-    // Get the workflow
-    const workflow = getUpscaleImageWorkflow(format);
+    // Parse the image processing parameters (quality, scale, ...)
+    const processing = parseProcessingParams(req, 'upscale-image');
+    if (processing.error) {
+      return res.status(processing.status || 400).json({ error: processing.error, details: processing.details });
+    }
+    
+    // Get the registered workflow and its default output node
+    const { workflow, outputNodes } = getWorkflowRegistry().buildWorkflow('upscale-image', { format, ...processing.params });
+    const targetNode = Object.values(outputNodes)[0];
     
     // Execute the workflow
     try {
-      const result = await executeWorkflow(workflow, imageBase64, '10', 'upscale-image');
+      const result = await executeWorkflow(workflow, imageBase64, targetNode, 'upscale-image');
       return res.status(200).json({ 
         imageBase64: result.base64,
         promptId: result.promptId,
@@ -1,7 +1,8 @@
-const { fileBufferToBase64 } = require('../utils/imageUtils');
+const { fileToBase64 } = require('../utils/imageUtils');
 const { executeWorkflow } = require('../services/comfyuiService');
-const { getUpscaleRemoveBGWorkflow } = require('../workflows');
+const { getWorkflowRegistry } = require('../services/workflowRegistry');
 const { handleUpscaleRemoveBGAsync } = require('./asyncJobHandler');
+const { parseProcessingParams } = require('../utils/submissionOptions');
 
 /**
  * Handles upscaling and background removal for uploaded images
@@ -26,7 +27,7 @@ async function upscaleRemoveBGHandler(req, res) {
 
     try {
         // Extract file data
-        const { buffer, mimetype } = req.file;
+        const { path: filePath, mimetype } = req.file;
         
         // Extract format parameter from request body or query, default to PNG
         const format = (req.body.format || req.query.format || 'PNG').toUpperCase();
@@ -40,10 +41,16 @@ async function upscaleRemoveBGHandler(req, res) {
             });
         }
         
-        // Convert file buffer to base64
+        // Parse the image processing parameters (quality, scale, ...)
+        const processing = parseProcessingParams(req, 'upscale-remove-bg');
+        if (processing.error) {
+            return res.status(processing.status || 400).json({ error: processing.error, details: processing.details });
+        }
+        
+        // Read the uploaded file and convert it to base64
         let imageBase64;
         try {
-            imageBase64 = await fileBufferToBase64(buffer, mimetype);
+            imageBase64 = await fileToBase64(filePath, mimetype);
         } catch (error) {
             console.error('Error converting file to base64:', error);
             return res.status(400).json({
@@ -52,11 +59,12 @@ async function upscaleRemoveBGHandler(req, res) {
             });
         }
 
-        // Get the upscale and remove background workflow
-        const workflow = getUpscaleRemoveBGWorkflow(format);
+        // Get the registered upscale and remove background workflow and its default output node
+        const { workflow, outputNodes } = getWorkflowRegistry().buildWorkflow('upscale-remove-bg', { format, ...processing.params });
+        const targetNode = Object.values(outputNodes)[0];
         
-        // Execute the workflow - using node 8 which is the ImageCompressor output
-        const result = await executeWorkflow(workflow, imageBase64, '8', 'upscale-remove-bg');
+        // Execute the workflow
+        const result = await executeWorkflow(workflow, imageBase64, targetNode, 'upscale-remove-bg');
         
         // Send the processed image back to the client
         res.status(200).json({
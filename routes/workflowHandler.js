@@ -0,0 +1,245 @@
+const { getWorkflowRegistry } = require('../services/workflowRegistry');
+const { executeWorkflow } = require('../services/comfyuiService');
+const { fileToBase64 } = require('../utils/imageUtils');
+const { createRequestLogger } = require('../utils/logger');
+const { submitAsyncJob } = require('./asyncJobHandler');
+
+/**
+ * Describe a workflow parameter for API responses
+ * @param {Object} definition - Parameter definition from the manifest
+ * @returns {Object} Public parameter description
+ */
+function formatParameter(definition) {
+  const parameter = { type: definition.type };
+
+  if (definition.values) parameter.values = definition.values;
+  if (definition.default !== undefined) parameter.default = definition.default;
+  if (definition.min !== undefined) parameter.min = definition.min;
+  if (definition.max !== undefined) parameter.max = definition.max;
+  if (definition.required) parameter.required = true;
+
+  return parameter;
+}
+
+/**
+ * Describe a registered workflow for API responses
+ * @param {Object} entry - Workflow registry entry
+ * @returns {Object} Public workflow description
+ */
+function formatWorkflow(entry) {
+  const parameters = {};
+  for (const [name, definition] of Object.entries(entry.parameters)) {
+    parameters[name] = formatParameter(definition);
+  }
+
+  return {
+    name: entry.name,
+    job_type: entry.jobType,
+    description: entry.description,
+    inputs: Object.keys(entry.inputs),
+    outputs: Object.keys(entry.outputs),
+    default_output: Object.keys(entry.outputs)[0],
+    parameters: parameters,
+    match: entry.match,
+    workflow_file: entry.workflowFile,
+    loaded_at: new Date(entry.loadedTime).toISOString()
+  };
+}
+
+/**
+ * List the registered workflows
+ * GET /api/workflows
+ * Optional query: job_type to filter by job type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listWorkflows(req, res) {
+  const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+
+  try {
+    const registry = getWorkflowRegistry();
+    const { job_type: jobType } = req.query;
+
+    const entries = jobType ? registry.getByJobType(jobType) : registry.list();
+    const status = registry.getStatus();
+
+    res.json({
+      workflows: entries.map(formatWorkflow),
+      total: entries.length,
+      directory: status.directory,
+      hot_reload: status.hotReload,
+      last_reload: status.lastLoadTime ? new Date(status.lastLoadTime).toISOString() : null,
+      errors: status.errors
+    });
+  } catch (error) {
+    logger.error('Failed to list workflows', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to list workflows',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Look up the workflow named in the route, before the upload is read
+ * Sets req.workflow to the registry entry; unknown names get a 404
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function findWorkflow(req, res, next) {
+  const entry = getWorkflowRegistry().get(req.params.name);
+  if (!entry) {
+    return res.status(404).json({
+      error: 'Workflow not found',
+      details: `No workflow is registered as ${req.params.name}, see GET /api/workflows`
+    });
+  }
+
+  req.workflow = entry;
+  next();
+}
+
+/**
+ * Parse the params object of a workflow run
+ * Sent as a JSON object in JSON bodies, or as a JSON string in a form field / query parameter
+ * @param {Object} req - Express request object
+ * @returns {Object} { params } on success or { error, details } if invalid
+ */
+function parseWorkflowParams(req) {
+  let params = req.body.params ?? req.query.params ?? {};
+
+  if (typeof params === 'string') {
+    try {
+      params = params.trim() === '' ? {} : JSON.parse(params);
+    } catch (error) {
+      return { error: 'Invalid params', details: 'params must be a JSON object' };
+    }
+  }
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { error: 'Invalid params', details: 'params must be a JSON object' };
+  }
+
+  return { params };
+}
+
+/**
+ * Run a registered workflow by name
+ * POST /api/workflows/:name/run
+ * Supports both synchronous and asynchronous modes (?async=true)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function runWorkflow(req, res) {
+  // Check for async mode via query parameter
+  const isAsync = req.query.async === 'true' || req.query.mode === 'async';
+
+  if (isAsync) {
+    return runWorkflowAsync(req, res);
+  }
+
+  // Check if file exists
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image file provided.' });
+  }
+
+  const paramsResult = parseWorkflowParams(req);
+  if (paramsResult.error) {
+    return res.status(400).json({ error: paramsResult.error, details: paramsResult.details });
+  }
+
+  const registry = getWorkflowRegistry();
+  const { entry, parameters, error, details, status } = registry.resolveByName(req.params.name, paramsResult.params);
+  if (error) {
+    return res.status(status || 400).json({ error, details });
+  }
+
+  try {
+    // Build the graph with the parameters applied; a synchronous run returns the default output
+    const { workflow, inputNodes, outputNodes } = registry.buildFromEntry(entry, parameters);
+    const [outputName, targetNode] = Object.entries(outputNodes)[0];
+
+    const imageBase64 = await fileToBase64(req.file.path, req.file.mimetype);
+    const result = await executeWorkflow(workflow, imageBase64, targetNode, entry.jobType, inputNodes.image);
+
+    return res.status(200).json({
+      imageBase64: result.base64,
+      promptId: result.promptId,
+      jobId: result.jobId,
+      workflow: entry.name,
+      output: outputName,
+      params: parameters
+    });
+  } catch (error) {
+    const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+    logger.error('Failed to run workflow', {
+      workflow: entry.name,
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'Failed to process image',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Run a registered workflow by name as an asynchronous job
+ * Returns job ID immediately and processes in background
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function runWorkflowAsync(req, res) {
+  // Check if file exists
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image file provided.' });
+  }
+
+  try {
+    const paramsResult = parseWorkflowParams(req);
+    if (paramsResult.error) {
+      return res.status(400).json({ error: paramsResult.error, details: paramsResult.details });
+    }
+
+    // Validate the parameters against the workflow's declared schema
+    const { entry, parameters, error, details, status } = getWorkflowRegistry().resolveByName(req.params.name, paramsResult.params);
+    if (error) {
+      return res.status(status || 400).json({ error, details });
+    }
+
+    // Queue the job pinned to the named workflow. Only the submitted parameters are
+    // stored: defaults are applied when the graph is built, so a default model is
+    // neither checked against the catalogue nor used to pick an instance
+    return await submitAsyncJob(req, res, {
+      jobType: entry.jobType,
+      jobData: { workflow: entry.name, params: paramsResult.params },
+      response: { workflow: entry.name, type: entry.jobType, params: parameters },
+      outputNames: Object.keys(entry.outputs)
+    });
+
+  } catch (error) {
+    const logger = req.logger || createRequestLogger(req.requestId, req.method, req.url);
+    logger.error('Unexpected error in runWorkflowAsync', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      error: 'An unexpected error occurred.',
+      details: error.message
+    });
+  }
+}
+
+module.exports = {
+  listWorkflows,
+  findWorkflow,
+  runWorkflow,
+  runWorkflowAsync,
+  formatWorkflow
+};
@@ -5,6 +5,12 @@ const { getConnectionManager } = require('./services/connectionManager.js');
 const { getJobManager } = require('./services/jobManager.js');
 const { getJobProcessor } = require('./services/jobProcessor.js');
 const { getMetrics } = require('./services/metrics.js');
+const { getWebhookDispatcher } = require('./services/webhookDispatcher.js');
+const { getResultCache } = require('./services/resultCache.js');
+const { getDeadLetterQueue } = require('./services/deadLetterQueue.js');
+const { getStorage } = require('./services/storage.js');
+const { getWorkflowRegistry } = require('./services/workflowRegistry.js');
+const { getModelCatalog } = require('./services/modelCatalog.js');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -15,11 +21,17 @@ const serverLogger = createServiceLogger('server');
 // Define the port
 const PORT = process.env.PORT || 3000;
 
-// Initialize connection manager, job manager, job processor, and metrics on startup
+// Initialize storage, workflow registry, model catalog, connection manager, job manager, job processor, metrics, webhooks, result cache, and dead-letter queue on startup
+const storage = getStorage();
+getWorkflowRegistry();
+getModelCatalog();
 const connectionManager = getConnectionManager();
 const jobManager = getJobManager();
 const jobProcessor = getJobProcessor();
 const metrics = getMetrics();
+getWebhookDispatcher();
+getResultCache();
+getDeadLetterQueue();
 
 // Start the server - bind to all interfaces (0.0.0.0) for Docker
 app.listen(PORT, '0.0.0.0', () => {
@@ -31,7 +43,9 @@ app.listen(PORT, '0.0.0.0', () => {
     maxConcurrentJobs: process.env.MAX_CONCURRENT_JOBS || 4,
     maxJobsPerInstance: process.env.MAX_JOBS_PER_INSTANCE || 2,
     logLevel: process.env.LOG_LEVEL || 'info',
-    outputFiles: process.env.OUTPUT_FILES === 'true'
+    storage: storage.getStatus(),
+    outputFiles: process.env.OUTPUT_FILES === 'true',
+    webhooksEnabled: Boolean(process.env.WEBHOOK_SECRET)
   });
   
   // Start the job processor
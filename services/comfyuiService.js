@@ -14,9 +14,10 @@ const { circuitBreakerFactory } = require('./circuitBreaker');
  * @param {string} imageBase64 - The base64 encoded image string
  * @param {string} nodeId - The node ID to get results from (optional)
  * @param {string} jobType - Type of job for tracking (optional)
+ * @param {Array<string>} inputNodeIds - IDs of the nodes receiving the image (optional, defaults to the nodes named InputImageBase64)
  * @returns {Promise<{base64: string, promptId: string, jobId: string}>} Promise that resolves with the base64 encoded output image, prompt ID, and job ID
  */
-async function executeWorkflow(workflowJson, imageBase64, nodeId = null, jobType = 'workflow') {
+async function executeWorkflow(workflowJson, imageBase64, nodeId = null, jobType = 'workflow', inputNodeIds = null) {
   console.log(`Starting workflow execution (job type: ${jobType})`);
   
   // Generate unique client ID
@@ -34,7 +35,8 @@ async function executeWorkflow(workflowJson, imageBase64, nodeId = null, jobType
   let inputNodeFound = false;
   for (const nodeId in modifiedWorkflow) {
     const node = modifiedWorkflow[nodeId];
-    if (node._meta && node._meta.name === 'InputImageBase64') {
+    const isInputNode = inputNodeIds ? inputNodeIds.includes(nodeId) : (node._meta && node._meta.name === 'InputImageBase64');
+    if (isInputNode) {
       // Strip the data URI prefix if present to get just the base64 string
       let base64String = imageBase64;
       if (imageBase64.includes(',')) {
@@ -42,7 +44,7 @@ async function executeWorkflow(workflowJson, imageBase64, nodeId = null, jobType
       }
       node.inputs.image = base64String;
       inputNodeFound = true;
-      console.log(`Found and updated InputImageBase64 node (ID: ${nodeId})`);
+      console.log(`Found and updated input image node (ID: ${nodeId})`);
     }
     
     // Add unique identifier to SaveImage nodes to prevent caching
@@ -54,7 +56,7 @@ async function executeWorkflow(workflowJson, imageBase64, nodeId = null, jobType
   }
   
   if (!inputNodeFound) {
-    console.log('Warning: No InputImageBase64 node found in workflow');
+    console.log('Warning: No input image node found in workflow');
   }
   
   // Get load balancer and select an instance
@@ -372,11 +374,14 @@ async function executeWorkflow(workflowJson, imageBase64, nodeId = null, jobType
         const outputs = history[promptId].outputs;
         console.log('Available outputs:', Object.keys(outputs));
         
-        // Find the first node with images in outputs
+        // Take the image of the requested output node; without one, the first node with images
         let targetNodeId = nodeId;
         let imageInfo = null;
         
-        if (targetNodeId && outputs[targetNodeId] && outputs[targetNodeId].images) {
+        if (targetNodeId) {
+          if (!outputs[targetNodeId] || !outputs[targetNodeId].images || outputs[targetNodeId].images.length === 0) {
+            throw new Error(`No images found in workflow output node ${targetNodeId}`);
+          }
           imageInfo = outputs[targetNodeId].images[0];
         } else {
           // Find first node with images
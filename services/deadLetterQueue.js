@@ -0,0 +1,255 @@
+const path = require('path');
+const { getJobManager } = require('./jobManager');
+const { createJobStore } = require('./jobStore');
+const { getStorage } = require('./storage');
+const { createServiceLogger } = require('../utils/logger');
+
+/**
+ * Dead-letter queue for failed jobs
+ * Keeps failed jobs (input image, error, instance and attempt history) well beyond
+ * the JobManager cleanup timer so they can be inspected and replayed later.
+ * Entries are persisted with the same store implementation as jobs; the input
+ * image is copied to "dead-letter/<jobId>/" in storage so it outlives the job.
+ */
+class DeadLetterQueue {
+  constructor() {
+    this.logger = createServiceLogger('dead-letter-queue');
+    this.entries = new Map(); // job ID -> dead-letter entry
+
+    // Configuration
+    this.retention = parseInt(process.env.DEAD_LETTER_RETENTION) || 604800000; // 7 days
+    this.maxEntries = parseInt(process.env.DEAD_LETTER_MAX_ENTRIES) || 1000;
+
+    // Same backend as the job store (JOB_STORE), in its own directory
+    this.store = createJobStore(process.env.DEAD_LETTER_PATH || path.join(__dirname, '..', 'data', 'dead-letter'));
+
+    for (const entry of this.store.loadAll()) {
+      this.entries.set(entry.id, entry);
+    }
+    this.purgeExpired();
+
+    // Move jobs here as soon as they fail for good
+    const jobManager = getJobManager();
+    jobManager.on('statusChanged', (job) => {
+      if (job.status === 'failed') {
+        this.add(job);
+      }
+    });
+
+    // Expire old entries hourly
+    this.purgeIntervalId = setInterval(() => this.purgeExpired(), 3600000);
+
+    this.logger.info('DeadLetterQueue initialized', {
+      store: this.store.type,
+      entries: this.entries.size,
+      retention: this.retention,
+      maxEntries: this.maxEntries
+    });
+
+    // Graceful shutdown handling
+    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown());
+  }
+
+  /**
+   * Add a failed job to the dead-letter queue
+   * @param {Object} job - Failed job snapshot
+   */
+  async add(job) {
+    const data = { ...job.data };
+
+    if (data.inputKey) {
+      const inputKey = `dead-letter/${job.id}/${path.posix.basename(data.inputKey)}`;
+      try {
+        await getStorage().copy(data.inputKey, inputKey);
+        data.inputKey = inputKey;
+      } catch (error) {
+        this.logger.warn('Failed to retain input image of failed job', { jobId: job.id, error: error.message });
+        delete data.inputKey;
+      }
+    }
+
+    const entry = {
+      id: job.id,
+      type: job.type,
+      data: data,
+      error: job.error,
+      errorDetails: job.errorDetails || null,
+      errorClass: job.errorClass || null,
+      comfyuiInstance: job.comfyuiInstance,
+      excludedInstances: job.excludedInstances || [],
+      attempts: job.attempts || [],
+      createdTime: job.createdTime,
+      failedTime: job.failedTime || job.updatedTime,
+      deadLetteredTime: Date.now(),
+      replays: []
+    };
+
+    this.entries.set(entry.id, entry);
+    this.store.save(entry);
+
+    this.logger.warn('Job moved to dead-letter queue', {
+      jobId: job.id,
+      jobType: job.type,
+      error: job.error,
+      instance: job.comfyuiInstance
+    });
+
+    // Keep the queue bounded, dropping the oldest entries first
+    if (this.entries.size > this.maxEntries) {
+      const oldest = Array.from(this.entries.values())
+        .sort((a, b) => a.deadLetteredTime - b.deadLetteredTime)
+        .slice(0, this.entries.size - this.maxEntries);
+      oldest.forEach(oldEntry => this.remove(oldEntry.id));
+    }
+  }
+
+  /**
+   * Get a dead-letter entry
+   * @param {string} jobId - ID of the failed job
+   * @returns {Object|null} Entry or null if not found
+   */
+  get(jobId) {
+    return this.entries.get(jobId) || null;
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filters - Optional { type, errorClass, instance, since } filters
+   * @returns {Array} Matching entries
+   */
+  list(filters = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => !filters.type || entry.type === filters.type)
+      .filter(entry => !filters.errorClass || entry.errorClass === filters.errorClass)
+      .filter(entry => !filters.instance || entry.comfyuiInstance === filters.instance)
+      .filter(entry => !filters.since || entry.failedTime >= filters.since)
+      .sort((a, b) => b.failedTime - a.failedTime);
+  }
+
+  /**
+   * Record that an entry was replayed as a new job
+   * @param {string} jobId - ID of the failed job
+   * @param {string} replayJobId - ID of the new job
+   */
+  recordReplay(jobId, replayJobId) {
+    const entry = this.entries.get(jobId);
+    if (!entry) {
+      return;
+    }
+
+    entry.replays.push({ jobId: replayJobId, replayedTime: Date.now() });
+    this.store.save(entry);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} jobId - ID of the failed job
+   * @returns {boolean} True if the entry existed
+   */
+  remove(jobId) {
+    const entry = this.entries.get(jobId);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(jobId);
+    this.store.remove(jobId);
+
+    if (entry.data && entry.data.inputKey) {
+      getStorage().remove(entry.data.inputKey).catch(error => {
+        this.logger.warn('Failed to delete dead-letter input image', { jobId, error: error.message });
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Read the input image of an entry
+   * @param {Object} entry - Dead-letter entry
+   * @returns {Promise<Buffer>} Input image
+   */
+  async readInput(entry) {
+    if (entry.data.inputKey) {
+      return getStorage().get(entry.data.inputKey);
+    }
+    // Entries from before inputs were kept in storage hold the image inline
+    return Buffer.from(entry.data.imageBase64.slice(entry.data.imageBase64.indexOf(',') + 1), 'base64');
+  }
+
+  /**
+   * Check whether the input image of an entry was retained
+   * @param {Object} entry - Dead-letter entry
+   * @returns {boolean} True if the entry can be replayed
+   */
+  hasInput(entry) {
+    return Boolean(entry.data && (entry.data.inputKey || entry.data.imageBase64));
+  }
+
+  /**
+   * Remove entries older than the retention period
+   * @returns {number} Number of removed entries
+   */
+  purgeExpired() {
+    const cutoff = Date.now() - this.retention;
+    const expired = Array.from(this.entries.values()).filter(entry => entry.deadLetteredTime < cutoff);
+
+    expired.forEach(entry => this.remove(entry.id));
+
+    if (expired.length > 0) {
+      console.log(`🧹 Purged ${expired.length} expired dead-letter entries`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Get dead-letter queue statistics
+   * @returns {Object} Entry counts by type and error class
+   */
+  getStats() {
+    const byType = {};
+    const byErrorClass = {};
+
+    for (const entry of this.entries.values()) {
+      byType[entry.type] = (byType[entry.type] || 0) + 1;
+      const errorClass = entry.errorClass || 'unknown';
+      byErrorClass[errorClass] = (byErrorClass[errorClass] || 0) + 1;
+    }
+
+    return {
+      total: this.entries.size,
+      byType: byType,
+      byErrorClass: byErrorClass,
+      retention: this.retention,
+      maxEntries: this.maxEntries,
+      store: this.store.getStatus()
+    };
+  }
+
+  /**
+   * Graceful shutdown - stop the purge timer and flush pending writes
+   */
+  async shutdown() {
+    clearInterval(this.purgeIntervalId);
+    await this.store.flush();
+  }
+}
+
+// Singleton instance
+let deadLetterQueueInstance = null;
+
+/**
+ * Get or create the dead-letter queue instance
+ * @returns {DeadLetterQueue} The dead-letter queue instance
+ */
+function getDeadLetterQueue() {
+  if (!deadLetterQueueInstance) {
+    deadLetterQueueInstance = new DeadLetterQueue();
+  }
+  return deadLetterQueueInstance;
+}
+
+module.exports = {
+  DeadLetterQueue,
+  getDeadLetterQueue
+};
@@ -1,8 +1,14 @@
 const axios = require('axios');
+const EventEmitter = require('events');
 const { circuitBreakerFactory } = require('./circuitBreaker');
 
-class InstanceHealthChecker {
+/**
+ * Periodic and pre-job health checks for ComfyUI instances
+ * Emits 'instanceHealthy' (instance) when an unhealthy instance recovers
+ */
+class InstanceHealthChecker extends EventEmitter {
     constructor() {
+        super();
         this.instances = new Map();
         this.healthCheckInterval = null;
         this.healthCheckIntervalMs = 30000; // 30 seconds
@@ -96,6 +102,7 @@ class InstanceHealthChecker {
 
             if (wasUnhealthy) {
                 console.log(`HealthChecker: Instance ${instance.id} is now HEALTHY (response time: ${Date.now() - startTime}ms)`);
+                this.emit('instanceHealthy', { id: instance.id, host: instance.host, protocol: instance.protocol });
             }
 
             return true;
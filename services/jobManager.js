@@ -1,17 +1,37 @@
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { createJobStore } = require('./jobStore');
+const { getStorage } = require('./storage');
 
 /**
- * Lightweight in-memory job management for ComfyUI workflows
- * Stores jobs in memory with automatic cleanup and status tracking
+ * Lightweight job management for ComfyUI workflows
+ * Keeps jobs in memory for fast access and writes them through to a durable
+ * job store so pending jobs and unfetched results survive a restart.
+ * Input and result images live in storage; jobs only hold their keys
+ * (data.inputKey, result.key) and the files are released with the job.
+ *
+ * Emits 'statusChanged' (job, previousStatus) on every status transition
+ * and 'jobRemoved' (jobId) when a job is deleted or cleaned up
  */
-class JobManager {
+class JobManager extends EventEmitter {
   constructor() {
+    super();
+    
+    // Set max listeners to prevent memory leak warnings
+    this.setMaxListeners(50);
+    
     // In-memory job storage using Map for O(1) access
     this.jobs = new Map();
     
+    // Durable job store (write-through)
+    this.store = createJobStore();
+    
     // Cleanup timers for automatic job expiration
     this.cleanupTimers = new Map();
     
+    // Idempotency-Key -> job ID, entries live as long as the job they point to
+    this.idempotencyKeys = new Map();
+    
     // Configuration
     this.jobTimeout = parseInt(process.env.JOB_TIMEOUT) || 300000; // 5 minutes default
     this.jobCleanupInterval = parseInt(process.env.JOB_CLEANUP_INTERVAL) || 600000; // 10 minutes default
@@ -21,10 +41,14 @@ class JobManager {
       PENDING: 'pending',
       PROCESSING: 'processing', 
       COMPLETED: 'completed',
-      FAILED: 'failed'
+      FAILED: 'failed',
+      CANCELLED: 'cancelled'
     };
     
-    console.log(`📋 JobManager initialized with ${this.jobTimeout / 1000}s job timeout, ${this.jobCleanupInterval / 1000}s cleanup interval`);
+    console.log(`📋 JobManager initialized with ${this.jobTimeout / 1000}s job timeout, ${this.jobCleanupInterval / 1000}s cleanup interval (${this.store.type} store)`);
+    
+    // Restore jobs persisted before the last shutdown
+    this.restoreJobs();
     
     // Graceful shutdown handling
     process.on('SIGINT', () => this.shutdown());
@@ -36,10 +60,10 @@ class JobManager {
    * @param {string} type - Job type (e.g., 'remove-background', 'upscale-image')
    * @param {Object} data - Job input data
    * @param {string} comfyuiInstance - ComfyUI instance host
+   * @param {string} jobId - Pre-generated job ID (e.g. when files were stored under it already)
    * @returns {string} Job ID
    */
-  createJob(type, data, comfyuiInstance = null) {
-    const jobId = uuidv4();
+  createJob(type, data, comfyuiInstance = null, jobId = uuidv4()) {
     const now = Date.now();
     
     const job = {
@@ -54,8 +78,9 @@ class JobManager {
       error: null
     };
     
-    // Store job in memory
+    // Store job in memory and persist it
     this.jobs.set(jobId, job);
+    this.persistJob(job);
     
     // Schedule automatic cleanup
     this.scheduleCleanup(jobId);
@@ -64,6 +89,84 @@ class JobManager {
     return jobId;
   }
 
+  /**
+   * Restore persisted jobs into memory on startup
+   * Jobs that were processing when the server stopped are put back to pending,
+   * since their WebSocket monitoring was lost with the old process.
+   * Jobs without input data (created by the synchronous routes) cannot be resumed
+   * and are marked failed instead.
+   */
+  restoreJobs() {
+    const persistedJobs = this.store.loadAll();
+    if (persistedJobs.length === 0) {
+      return;
+    }
+    
+    // Restore in creation order so the pending queue keeps its FIFO order
+    persistedJobs.sort((a, b) => a.createdTime - b.createdTime);
+    
+    const now = Date.now();
+    let requeued = 0;
+    let expired = 0;
+    
+    for (const job of persistedJobs) {
+      if (!this.isTerminalStatus(job.status)) {
+        if (job.data && (job.data.inputKey || job.data.imageBase64)) {
+          if (job.status === this.JOB_STATES.PROCESSING) {
+            job.status = this.JOB_STATES.PENDING;
+            job.interruptedInstance = job.comfyuiInstance;
+            job.comfyuiInstance = null;
+            job.recoveredTime = now;
+            requeued++;
+          }
+        } else {
+          job.status = this.JOB_STATES.FAILED;
+          job.error = 'Job interrupted by server restart';
+          job.failedTime = now;
+        }
+        job.updatedTime = now;
+        this.persistJob(job);
+      }
+      
+      this.jobs.set(job.id, job);
+      if (job.idempotency) {
+        this.idempotencyKeys.set(job.idempotency.key, job.id);
+      }
+      
+      // Finished jobs expire relative to their last update, others relative to creation
+      const referenceTime = this.isTerminalStatus(job.status) ? job.updatedTime : job.createdTime;
+      const remaining = this.jobCleanupInterval - (now - referenceTime);
+      
+      if (remaining <= 0) {
+        this.cleanupJob(job.id);
+        expired++;
+      } else {
+        this.scheduleCleanup(job.id, remaining);
+      }
+    }
+    
+    console.log(`📂 Restored ${this.jobs.size} jobs from ${this.store.type} store (${requeued} re-queued, ${expired} expired)`);
+  }
+
+  /**
+   * Check whether a status is final (completed, failed or cancelled)
+   * @param {string} status - Job status
+   * @returns {boolean} True if the job will not change state anymore
+   */
+  isTerminalStatus(status) {
+    return status === this.JOB_STATES.COMPLETED ||
+           status === this.JOB_STATES.FAILED ||
+           status === this.JOB_STATES.CANCELLED;
+  }
+
+  /**
+   * Write a job through to the durable store
+   * @param {Object} job - Job object
+   */
+  persistJob(job) {
+    this.store.save(job);
+  }
+
   /**
    * Retrieve a job by ID
    * @param {string} jobId - Job ID
@@ -81,7 +184,7 @@ class JobManager {
   /**
    * Update job status and metadata
    * @param {string} jobId - Job ID
-   * @param {string} status - New status (pending, processing, completed, failed)
+   * @param {string} status - New status (pending, processing, completed, failed, cancelled)
    * @param {Object} updates - Additional fields to update (result, error, etc.)
    * @returns {boolean} Success status
    */
@@ -99,22 +202,110 @@ class JobManager {
     }
 
     // Update job fields
+    const previousStatus = job.status;
     job.status = status;
     job.updatedTime = Date.now();
     
     // Apply additional updates
     Object.assign(job, updates);
+    this.persistJob(job);
     
     console.log(`🔄 Updated job ${jobId} status: ${status}`);
     
-    // If job is completed or failed, schedule cleanup using the configured cleanup interval
-    if (status === this.JOB_STATES.COMPLETED || status === this.JOB_STATES.FAILED) {
+    // If job is completed, failed or cancelled, schedule cleanup using the configured cleanup interval
+    if (this.isTerminalStatus(status)) {
       this.rescheduleCleanup(jobId, this.jobCleanupInterval);
     }
     
+    this.emit('statusChanged', { ...job }, previousStatus);
+    
     return true;
   }
 
+  /**
+   * Update job fields without changing its status
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} options - { persist: false } for transient, high-frequency fields such as progress
+   * @returns {boolean} Success status
+   */
+  updateJob(jobId, updates, options = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return false;
+    }
+
+    Object.assign(job, updates);
+    if (options.persist !== false) {
+      this.persistJob(job);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Remember the Idempotency-Key a submission was made with
+   * A batch records it on every job, so the key lives until the last job of the batch expires
+   * @param {string|Array<string>} jobIds - Job ID, or the job IDs of a batch
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} payloadHash - Hash of the submitted payload
+   * @param {Object} response - Response body returned for the original submission
+   * @returns {boolean} Success status
+   */
+  recordIdempotencyKey(jobIds, key, payloadHash, response) {
+    const jobs = [].concat(jobIds).map(jobId => this.jobs.get(jobId)).filter(Boolean);
+    if (jobs.length === 0) {
+      return false;
+    }
+    
+    for (const job of jobs) {
+      job.idempotency = { key, payloadHash, response };
+      this.persistJob(job);
+    }
+    this.idempotencyKeys.set(key, jobs[0].id);
+    
+    return true;
+  }
+
+  /**
+   * Look up the original submission for an Idempotency-Key
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Object|null} { jobId, payloadHash, response } or null if the key is unknown or its job expired
+   */
+  getIdempotentSubmission(key) {
+    const jobId = this.idempotencyKeys.get(key);
+    const job = jobId && this.jobs.get(jobId);
+    
+    if (!job || !job.idempotency) {
+      return null;
+    }
+    
+    return {
+      jobId: jobId,
+      payloadHash: job.idempotency.payloadHash,
+      response: job.idempotency.response
+    };
+  }
+
+  /**
+   * Drop the Idempotency-Key of a removed job
+   * The key moves to another job recorded with it (the rest of a batch), if any
+   * @param {Object} job - Removed job
+   */
+  forgetIdempotencyKey(job) {
+    if (!job.idempotency || this.idempotencyKeys.get(job.idempotency.key) !== job.id) {
+      return;
+    }
+    
+    const successor = Array.from(this.jobs.values())
+      .find(other => other.idempotency && other.idempotency.key === job.idempotency.key);
+    if (successor) {
+      this.idempotencyKeys.set(job.idempotency.key, successor.id);
+    } else {
+      this.idempotencyKeys.delete(job.idempotency.key);
+    }
+  }
+
   /**
    * Delete a job manually
    * @param {string} jobId - Job ID
@@ -130,13 +321,100 @@ class JobManager {
     // Cancel cleanup timer
     this.cancelCleanup(jobId);
     
-    // Remove from memory
+    // Remove from memory and store
     this.jobs.delete(jobId);
+    this.forgetIdempotencyKey(job);
+    this.store.remove(jobId);
+    this.releaseJobFiles(job);
+    this.emit('jobRemoved', jobId);
     
     console.log(`🗑️  Deleted job ${jobId} (type: ${job.type}). Remaining jobs: ${this.jobs.size}`);
     return true;
   }
 
+  /**
+   * Read a job's input image from storage
+   * Jobs persisted before storage was introduced still carry the image inline
+   * @param {Object} job - Job object
+   * @returns {Promise<Buffer>} Input image
+   */
+  async readJobInput(job) {
+    if (job.data.inputKey) {
+      return getStorage().get(job.data.inputKey);
+    }
+    return Buffer.from(job.data.imageBase64.slice(job.data.imageBase64.indexOf(',') + 1), 'base64');
+  }
+
+  /**
+   * Read one result image from storage
+   * Results persisted before storage was introduced still carry the image inline
+   * @param {Object} output - Job result or one of its named outputs
+   * @returns {Promise<Buffer>} Result image
+   */
+  async readResultImage(output) {
+    if (output.key) {
+      return getStorage().get(output.key);
+    }
+    return Buffer.from(output.base64.slice(output.base64.indexOf(',') + 1), 'base64');
+  }
+
+  /**
+   * Read a completed job's result image from storage
+   * @param {Object} job - Completed job object
+   * @param {string} outputName - Named output to read (default: the default output)
+   * @returns {Promise<Buffer>} Result image
+   */
+  async readJobResult(job, outputName = null) {
+    return this.readResultImage(outputName ? job.result.outputs[outputName] : job.result);
+  }
+
+  /**
+   * Read every named output of a completed job's result
+   * @param {Object} job - Completed job object
+   * @returns {Promise<Object>} Output name to image Buffer
+   */
+  async readJobOutputs(job) {
+    const buffers = {};
+    for (const [name, output] of Object.entries(job.result.outputs || {})) {
+      buffers[name] = await this.readResultImage(output);
+    }
+    return buffers;
+  }
+
+  /**
+   * Delete the files of a job result from storage
+   * @param {Object} result - Job result
+   */
+  removeResultFiles(result) {
+    // Legacy results without storage keys hold their images inline, there is nothing to delete
+    const keys = new Set(Object.values(result.outputs || {}).map(output => output.key).filter(Boolean));
+    if (result.key) {
+      keys.add(result.key);
+    }
+    
+    for (const key of keys) {
+      getStorage().remove(key).catch(error => {
+        console.error(`❌ Failed to delete ${key} from storage:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Delete a job's files from storage
+   * Results are kept when OUTPUT_FILES=true
+   * @param {Object} job - Job object
+   */
+  releaseJobFiles(job) {
+    if (job.data && job.data.inputKey) {
+      getStorage().remove(job.data.inputKey).catch(error => {
+        console.error(`❌ Failed to delete ${job.data.inputKey} from storage:`, error.message);
+      });
+    }
+    if (job.result && process.env.OUTPUT_FILES !== 'true') {
+      this.removeResultFiles(job.result);
+    }
+  }
+
   /**
    * Get all jobs (for debugging/monitoring)
    * @param {string} status - Optional status filter
@@ -188,6 +466,23 @@ class JobManager {
     return stats;
   }
 
+  /**
+   * Count pending jobs, in total and per job type
+   * @returns {Object} { total, byType }
+   */
+  getPendingCounts() {
+    const counts = { total: 0, byType: {} };
+    
+    for (const job of this.jobs.values()) {
+      if (job.status === this.JOB_STATES.PENDING) {
+        counts.total++;
+        counts.byType[job.type] = (counts.byType[job.type] || 0) + 1;
+      }
+    }
+    
+    return counts;
+  }
+
   /**
    * Schedule automatic job cleanup
    * @param {string} jobId - Job ID
@@ -234,6 +529,10 @@ class JobManager {
     if (job) {
       console.log(`🧹 Auto-cleaning expired job ${jobId} (type: ${job.type}, status: ${job.status})`);
       this.jobs.delete(jobId);
+      this.forgetIdempotencyKey(job);
+      this.store.remove(jobId);
+      this.releaseJobFiles(job);
+      this.emit('jobRemoved', jobId);
     }
     this.cleanupTimers.delete(jobId);
   }
@@ -279,6 +578,21 @@ class JobManager {
     return jobs;
   }
 
+  /**
+   * Get the jobs of a batch, in submission order
+   * @param {string} batchId - Batch ID
+   * @returns {Array} Array of job objects in the batch
+   */
+  getJobsByBatch(batchId) {
+    const jobs = [];
+    for (const job of this.jobs.values()) {
+      if (job.data && job.data.batchId === batchId) {
+        jobs.push({ ...job });
+      }
+    }
+    return jobs.sort((a, b) => a.data.batchIndex - b.data.batchIndex);
+  }
+
   /**
    * Find jobs by status
    * @param {string} status - Job status
@@ -309,12 +623,13 @@ class JobManager {
       console.log(`   By instance: ${JSON.stringify(stats.byInstance)}`);
     }
     console.log(`   Active cleanup timers: ${this.cleanupTimers.size}`);
+    console.log(`   Store: ${JSON.stringify(this.store.getStatus())}`);
   }
 
   /**
    * Graceful shutdown - clean up all timers
    */
-  shutdown() {
+  async shutdown() {
     console.log('🛑 JobManager shutting down...');
     
     // Cancel all cleanup timers
@@ -323,9 +638,12 @@ class JobManager {
     }
     this.cleanupTimers.clear();
     
+    // Make sure every job state has reached the store
+    await this.store.flush();
+    
     // Log final stats
     const stats = this.getStats();
-    console.log(`✅ JobManager shutdown complete. ${stats.total} jobs in memory at shutdown.`);
+    console.log(`✅ JobManager shutdown complete. ${stats.total} jobs persisted at shutdown.`);
   }
 }
 
@@ -1,52 +1,89 @@
 const { getJobManager } = require('./jobManager');
 const { getLoadBalancer } = require('./loadBalancer');
 const { executeWorkflow } = require('./comfyuiService');
-const { getRemoveBackgroundWorkflow, getRemoveBackgroundAndCropWorkflow, getUpscaleImageWorkflow, getUpscaleRemoveBGWorkflow } = require('../workflows');
+const { getWorkflowRegistry } = require('./workflowRegistry');
+const { getModelCatalog } = require('./modelCatalog');
 const { getMetrics } = require('./metrics');
+const { getResultCache } = require('./resultCache');
+const { JobQueue } = require('./jobQueue');
+const { getStorage } = require('./storage');
 const { createServiceLogger, createJobLogger } = require('../utils/logger');
-const fs = require('fs').promises;
-const path = require('path');
+const { calculateProgressPercentage, getEstimatedDuration } = require('../utils/jobResponses');
+const { PRIORITY_LANES, getPriorityRank } = require('../utils/jobPriority');
+const { getImageExtension } = require('../utils/imageUtils');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 
 /**
  * Background job processor for concurrent ComfyUI workflow execution
  * Manages job queue and processes jobs across multiple ComfyUI instances
+ * Dispatch is event-driven (job enqueued, job finished, instance recovered,
+ * retry backoff expired); the processing interval is only a safety net
+ * Emits 'executionEvent' (jobId, event) for node-level ComfyUI progress
  */
-class JobProcessor {
+class JobProcessor extends EventEmitter {
   constructor() {
+    super();
+    
+    // Every open job event stream subscribes to this emitter
+    this.setMaxListeners(0);
     this.isRunning = false;
     this.activeProcessingJobs = new Map(); // Track currently processing jobs
     this.processingIntervalId = null;
     this.instanceJobCounts = new Map(); // Track jobs per instance
+    this.activeExecutions = new Map(); // jobId -> { comfyUrl, promptId, cancelRequested, abort }
+    this.inFlightJobs = new Map(); // cache key -> ID of the unfinished job identical submissions merge onto
+    this.jobQueue = new JobQueue(); // Pending jobs waiting for dispatch
+    this.dispatchScheduled = false; // A dispatch pass is queued on the event loop
+    this.isDispatching = false; // A dispatch pass is running
+    this.dispatchRequested = false; // Another pass was requested while one was running
     this.logger = createServiceLogger('job-processor');
     
     // Configuration
     this.maxConcurrentJobs = parseInt(process.env.MAX_CONCURRENT_JOBS) || 4;
-    this.processingInterval = parseInt(process.env.JOB_PROCESSING_INTERVAL) || 1000; // 1 second
+    this.processingInterval = parseInt(process.env.JOB_PROCESSING_INTERVAL) || 5000; // Safety-net dispatch interval (5 seconds)
     this.maxJobsPerInstance = parseInt(process.env.MAX_JOBS_PER_INSTANCE) || 2;
+    this.priorityAgingInterval = parseInt(process.env.PRIORITY_AGING_INTERVAL) || 60000; // Promote waiting jobs one lane per minute
     
-    // Job type to workflow mapping
-    this.workflowMap = {
-      'remove-background': {
-        workflow: getRemoveBackgroundWorkflow,
-        targetNode: '17'
-      },
-      'upscale-image': {
-        workflow: getUpscaleImageWorkflow,
-        targetNode: '10'
-      },
-      'upscale-remove-bg': {
-        workflow: getUpscaleRemoveBGWorkflow,
-        targetNode: '8'
-      }
+    // Retry policy defaults, overridable per job type via JOB_RETRY_POLICIES (JSON)
+    this.defaultRetryPolicy = {
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+      backoffMs: parseInt(process.env.JOB_RETRY_BACKOFF) || 2000, // 2 seconds
+      backoffMultiplier: 2,
+      maxBackoffMs: 60000, // 1 minute
+      retryableErrors: ['instance', 'timeout', 'circuit_open']
     };
+    this.retryPolicies = this.loadRetryPolicies();
+    
+    // Queue limits: bound the backlog (and the input images held in storage)
+    this.maxPendingJobs = parseInt(process.env.QUEUE_MAX_PENDING) || 200;
+    this.maxPendingJobsByType = this.loadQueueLimits();
+    
+    // How input images reach ComfyUI: inlined as base64 in the prompt, or sent to /upload/image first
+    this.inputMode = (process.env.COMFYUI_INPUT_MODE || 'base64').toLowerCase();
+    if (!['base64', 'upload'].includes(this.inputMode)) {
+      throw new Error(`Invalid COMFYUI_INPUT_MODE: ${this.inputMode}. Must be "base64" or "upload".`);
+    }
     
     this.logger.info('JobProcessor initialized', {
       maxConcurrentJobs: this.maxConcurrentJobs,
       maxJobsPerInstance: this.maxJobsPerInstance,
       processingInterval: this.processingInterval,
+      priorityAgingInterval: this.priorityAgingInterval,
+      retryPolicy: this.defaultRetryPolicy,
+      maxPendingJobs: this.maxPendingJobs,
+      maxPendingJobsByType: this.maxPendingJobsByType,
+      storage: getStorage().type,
+      inputMode: this.inputMode,
       outputFiles: process.env.OUTPUT_FILES === 'true'
     });
     
+    // Keep the dispatch queue in sync, settle merged jobs and fill the result cache when jobs finish
+    const jobManager = getJobManager();
+    jobManager.on('statusChanged', (job) => this.handleJobStatusChanged(job));
+    jobManager.on('jobRemoved', (jobId) => this.jobQueue.remove(jobId));
+    
     // Graceful shutdown handling
     process.on('SIGINT', () => this.shutdown());
     process.on('SIGTERM', () => this.shutdown());
@@ -63,8 +100,32 @@ class JobProcessor {
 
     this.logger.info('Starting JobProcessor');
     this.isRunning = true;
-    
-    // Start the processing loop
+
+    // Pick up pending jobs restored from the job store right away
+    const jobManager = getJobManager();
+    this.restoreInFlightJobs();
+    const restoredPendingJobs = jobManager.getJobsByStatus('pending');
+    if (restoredPendingJobs.length > 0) {
+      this.logger.info('Resuming persisted pending jobs', {
+        pendingJobs: restoredPendingJobs.length
+      });
+      restoredPendingJobs
+        .filter(job => !job.mergedInto)
+        .forEach(job => this.enqueueJob(job));
+    }
+
+    // Dispatch as soon as a recovered instance can take work
+    getLoadBalancer().healthChecker.on('instanceHealthy', (instance) => {
+      if (this.jobQueue.size > 0) {
+        this.logger.info('Instance recovered, dispatching queued jobs', {
+          instance: instance.host,
+          queuedJobs: this.jobQueue.size
+        });
+      }
+      this.scheduleDispatch();
+    });
+
+    // Safety net in case a dispatch trigger was missed
     this.processingIntervalId = setInterval(() => {
       this.processQueuedJobs();
     }, this.processingInterval);
@@ -105,20 +166,61 @@ class JobProcessor {
     console.log('✅ JobProcessor stopped');
   }
 
+  /**
+   * Add a pending job to the dispatch queue and trigger a dispatch pass
+   * Jobs waiting for a retry backoff get a pass when the backoff expires
+   * @param {Object} job - Pending job
+   */
+  enqueueJob(job) {
+    if (!this.jobQueue.enqueue(job)) {
+      return;
+    }
+
+    const backoffRemaining = job.nextAttemptTime ? job.nextAttemptTime - Date.now() : 0;
+    if (backoffRemaining > 0) {
+      setTimeout(() => this.scheduleDispatch(), backoffRemaining);
+    } else {
+      this.scheduleDispatch();
+    }
+  }
+
+  /**
+   * Schedule a dispatch pass on the next event loop turn
+   * Triggers arriving in the same turn (e.g. a batch submission) share one pass
+   */
+  scheduleDispatch() {
+    if (!this.isRunning || this.dispatchScheduled) {
+      return;
+    }
+
+    this.dispatchScheduled = true;
+    setImmediate(() => {
+      this.dispatchScheduled = false;
+      this.processQueuedJobs();
+    });
+  }
+
   /**
    * Process queued jobs if capacity allows
+   * Passes never overlap; a trigger during a pass runs another pass afterwards
    */
   async processQueuedJobs() {
     if (!this.isRunning) {
       return;
     }
 
+    if (this.isDispatching) {
+      this.dispatchRequested = true;
+      return;
+    }
+    this.isDispatching = true;
+
     try {
       const jobManager = getJobManager();
       const loadBalancer = getLoadBalancer();
       
       // Get pending jobs
-      const pendingJobs = jobManager.getJobsByStatus('pending');
+      const pendingJobs = this.getDispatchOrder();
       
       if (pendingJobs.length === 0) {
         return; // No jobs to process
@@ -140,34 +242,59 @@ class JobProcessor {
         return; // No instances available
       }
 
-      // Process jobs up to available capacity
-      const jobsToProcess = pendingJobs.slice(0, Math.min(availableSlots, availableInstances.length));
+      // Jobs waiting for a retry backoff to expire are skipped for now
+      const now = Date.now();
+      const eligibleJobs = pendingJobs.filter(job => !job.nextAttemptTime || job.nextAttemptTime <= now);
+      let startedJobs = 0;
       
-      for (const job of jobsToProcess) {
+      for (const job of eligibleJobs) {
+        if (startedJobs >= availableSlots) {
+          break; // At capacity
+        }
+
         if (this.activeProcessingJobs.has(job.id)) {
           continue; // Already processing
         }
 
+        // The job may have been cancelled while we were checking instances
+        const currentJob = jobManager.getJob(job.id);
+        if (!currentJob || currentJob.status !== 'pending') {
+          continue;
+        }
+
+        // Instances with free slots that this job has not already failed on
+        const candidateInstances = this.getCandidateInstances(job, availableInstances);
+        if (candidateInstances.length === 0) {
+          continue; // Wait for another instance to become available
+        }
+
         // Find the best available instance with real-time health check
-        const instance = await this.selectBestInstanceWithHealthCheck(availableInstances);
+        const instance = await this.selectBestInstanceWithHealthCheck(candidateInstances);
         if (!instance) {
-          // All instances failed health checks, keep jobs in pending state for retry
+          // All candidate instances failed health checks, keep job in pending state for retry
           this.logger.warn('All instances failed pre-job health checks, keeping job pending for retry', {
             jobId: job.id,
             jobType: job.type,
-            candidateInstances: availableInstances.length,
+            candidateInstances: candidateInstances.length,
             message: 'Job will remain pending until instances recover or timeout expires'
           });
           
-          break; // Stop processing remaining jobs but keep them pending
+          continue;
         }
 
         // Start processing the job
         this.startJobProcessing(job, instance);
+        startedJobs++;
       }
 
     } catch (error) {
       console.error('💥 Error in processQueuedJobs:', error);
+    } finally {
+      this.isDispatching = false;
+      if (this.dispatchRequested) {
+        this.dispatchRequested = false;
+        this.scheduleDispatch();
+      }
     }
   }
 
@@ -195,6 +322,287 @@ class JobProcessor {
     return availableInstances;
   }
 
+  /**
+   * Get the effective priority rank of a queued job (0 = highest)
+   * Jobs are promoted one lane per aging interval spent waiting, so lower
+   * lanes still make progress while higher lanes are busy
+   * @param {Object} entry - Queue entry { priority, createdTime }
+   * @param {number} now - Current timestamp
+   * @returns {number} Effective rank
+   */
+  getEffectivePriority(entry, now) {
+    const rank = getPriorityRank(entry.priority);
+    const promotions = Math.floor((now - entry.createdTime) / this.priorityAgingInterval);
+    return Math.max(0, rank - promotions);
+  }
+
+  /**
+   * Get queued jobs in the order they will be dispatched:
+   * by effective priority, then oldest first
+   * Merged jobs and cache hits are never queued, they settle without running a workflow
+   * @returns {Array} Pending jobs
+   */
+  getDispatchOrder() {
+    const jobManager = getJobManager();
+    const now = Date.now();
+    
+    return this.jobQueue.getOrdered(entry => this.getEffectivePriority(entry, now))
+      .map(jobId => jobManager.getJob(jobId))
+      .filter(job => job && job.status === 'pending');
+  }
+
+  /**
+   * Get the expected processing time for a job type
+   * Uses the average observed by the metrics service, falling back to the static estimate
+   * @param {string} jobType - Job type
+   * @returns {Object} { durationMs, basis: 'observed' | 'default' }
+   */
+  getExpectedDuration(jobType) {
+    const observed = getMetrics().getAverageProcessingTime(jobType);
+    if (observed) {
+      return { durationMs: observed, basis: 'observed' };
+    }
+    return { durationMs: getEstimatedDuration(jobType) * 1000, basis: 'default' };
+  }
+
+  /**
+   * Get a pending job's queue position and estimated wait
+   * The wait is simulated by assigning every job ahead to the slot that frees up first,
+   * starting from the remaining time of the jobs currently processing
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Queue information or null if the job is not pending
+   */
+  getQueueInfo(jobId) {
+    const jobManager = getJobManager();
+    const loadBalancer = getLoadBalancer();
+    const queue = this.getDispatchOrder();
+    const index = queue.findIndex(job => job.id === jobId);
+    
+    if (index === -1) {
+      return null;
+    }
+    
+    const job = queue[index];
+    const jobsAhead = queue.slice(0, index);
+    const jobsAheadByType = {};
+    for (const aheadJob of jobsAhead) {
+      jobsAheadByType[aheadJob.type] = (jobsAheadByType[aheadJob.type] || 0) + 1;
+    }
+    
+    const queueInfo = {
+      position: index + 1,
+      queueLength: queue.length,
+      jobsAhead: jobsAhead.length,
+      jobsAheadByType: jobsAheadByType,
+      estimatedWaitMs: null,
+      estimatedCompletionMs: null,
+      estimateBasis: this.getExpectedDuration(job.type).basis
+    };
+    
+    // Slots actually usable right now: healthy instances times per-instance limit, capped globally
+    const healthyInstances = loadBalancer.healthChecker.getHealthyInstances().length;
+    const totalSlots = Math.min(this.maxConcurrentJobs, healthyInstances * this.maxJobsPerInstance);
+    
+    if (totalSlots === 0) {
+      return queueInfo; // No capacity, no meaningful ETA
+    }
+    
+    const now = Date.now();
+    let slotFreeAt = jobManager.getJobsByStatus('processing').map(processingJob => {
+      const elapsed = now - (processingJob.processingStartTime || now);
+      return Math.max(0, this.getExpectedDuration(processingJob.type).durationMs - elapsed);
+    });
+    slotFreeAt.sort((a, b) => a - b);
+    
+    // More jobs running than usable slots (e.g. an instance went unhealthy): the first
+    // queued job can only start once enough of them have finished
+    if (slotFreeAt.length > totalSlots) {
+      slotFreeAt = slotFreeAt.slice(slotFreeAt.length - totalSlots);
+    }
+    while (slotFreeAt.length < totalSlots) {
+      slotFreeAt.unshift(0);
+    }
+    
+    for (const aheadJob of jobsAhead) {
+      const startAt = slotFreeAt.shift();
+      slotFreeAt.push(startAt + this.getExpectedDuration(aheadJob.type).durationMs);
+      slotFreeAt.sort((a, b) => a - b);
+    }
+    
+    // A job waiting for a retry backoff cannot start before its next attempt time
+    let waitMs = slotFreeAt[0];
+    if (job.nextAttemptTime) {
+      waitMs = Math.max(waitMs, job.nextAttemptTime - now);
+    }
+    
+    queueInfo.estimatedWaitMs = Math.round(waitMs);
+    queueInfo.estimatedCompletionMs = Math.round(waitMs + this.getExpectedDuration(job.type).durationMs);
+    
+    return queueInfo;
+  }
+
+  /**
+   * Get the queue fill level against the configured limits
+   * @returns {Object} { pending, maxPending, byType: { [jobType]: { pending, maxPending } } }
+   */
+  getQueueUsage() {
+    const pendingCounts = getJobManager().getPendingCounts();
+    const jobTypes = new Set([...getWorkflowRegistry().getJobTypes(), ...Object.keys(pendingCounts.byType)]);
+    const byType = {};
+    
+    for (const jobType of jobTypes) {
+      byType[jobType] = {
+        pending: pendingCounts.byType[jobType] || 0,
+        maxPending: this.maxPendingJobsByType[jobType] || null
+      };
+    }
+    
+    return {
+      pending: pendingCounts.total,
+      maxPending: this.maxPendingJobs,
+      byType: byType
+    };
+  }
+
+  /**
+   * Check whether new jobs fit in the queue (global and per job type limits)
+   * @param {string} jobType - Job type
+   * @param {number} jobCount - Number of jobs to admit (default: 1)
+   * @returns {Object|null} null if the jobs fit, otherwise
+   *   { scope: 'global' | 'type', jobType, limit, pending, retryAfterSeconds }
+   */
+  checkQueueCapacity(jobType, jobCount = 1) {
+    return this.checkQueueCapacityForJobs({ [jobType]: jobCount });
+  }
+
+  /**
+   * Check whether new jobs of one or more job types fit in the queue as a whole
+   * (e.g. a bulk dead-letter replay)
+   * @param {Object} jobCounts - Job type -> number of jobs to admit
+   * @returns {Object|null} null if the jobs fit, otherwise
+   *   { scope: 'global' | 'type', jobType, limit, pending, retryAfterSeconds }
+   */
+  checkQueueCapacityForJobs(jobCounts) {
+    const usage = this.getQueueUsage();
+    const totalCount = Object.values(jobCounts).reduce((sum, count) => sum + count, 0);
+    
+    let rejection = null;
+    if (usage.pending + totalCount > usage.maxPending) {
+      rejection = {
+        scope: 'global',
+        jobType: Object.keys(jobCounts).join(', '),
+        jobCount: totalCount,
+        limit: usage.maxPending,
+        pending: usage.pending
+      };
+    } else {
+      for (const [jobType, jobCount] of Object.entries(jobCounts)) {
+        const typeUsage = usage.byType[jobType] || { pending: 0, maxPending: null };
+        if (typeUsage.maxPending && typeUsage.pending + jobCount > typeUsage.maxPending) {
+          rejection = { scope: 'type', jobType, jobCount, limit: typeUsage.maxPending, pending: typeUsage.pending };
+          break;
+        }
+      }
+    }
+    
+    if (!rejection) {
+      return null;
+    }
+    
+    // Wait until enough queued jobs have drained to make room
+    const { jobCount, ...details } = rejection;
+    const excess = rejection.pending + jobCount - rejection.limit;
+    const drainTypes = rejection.scope === 'type' ? { [rejection.jobType]: excess } : this.scaleCounts(usage.byType, excess);
+    
+    this.logger.warn('Queue limit reached, rejecting submission', {
+      jobType: rejection.jobType,
+      jobCount: jobCount,
+      scope: rejection.scope,
+      pending: rejection.pending,
+      limit: rejection.limit
+    });
+    
+    return {
+      ...details,
+      retryAfterSeconds: this.estimateDrainSeconds(drainTypes)
+    };
+  }
+
+  /**
+   * Spread a job count over job types in proportion to their pending jobs
+   * @param {Object} byType - Queue usage per job type
+   * @param {number} total - Number of jobs to spread
+   * @returns {Object} Job type -> job count
+   */
+  scaleCounts(byType, total) {
+    const pendingTotal = Object.values(byType).reduce((sum, usage) => sum + usage.pending, 0);
+    const counts = {};
+    
+    for (const [jobType, usage] of Object.entries(byType)) {
+      if (usage.pending > 0) {
+        counts[jobType] = (usage.pending / pendingTotal) * total;
+      }
+    }
+    
+    return counts;
+  }
+
+  /**
+   * Estimate how long the processor needs to work off a number of jobs at current throughput:
+   * observed (or default) durations spread over the slots usable right now
+   * @param {Object} jobCounts - Job type -> job count
+   * @returns {number} Seconds, between 1 and 3600
+   */
+  estimateDrainSeconds(jobCounts) {
+    const healthyInstances = getLoadBalancer().healthChecker.getHealthyInstances().length;
+    const totalSlots = Math.max(1, Math.min(this.maxConcurrentJobs, healthyInstances * this.maxJobsPerInstance));
+    
+    let workMs = 0;
+    for (const [jobType, count] of Object.entries(jobCounts)) {
+      workMs += count * this.getExpectedDuration(jobType).durationMs;
+    }
+    
+    return Math.min(3600, Math.max(1, Math.ceil(workMs / totalSlots / 1000)));
+  }
+
+  /**
+   * Get the instances a job may run on: instances with free slots, excluding the
+   * ones the job already failed on. If the job has failed on every registered
+   * instance there is nothing to fail over to, so all instances are allowed again.
+   * A job with a selected upscale model only runs on instances that have it installed,
+   * and waits while the model catalogue has not been read (e.g. a job restored at startup).
+   * @param {Object} job - Pending job
+   * @param {Array} availableInstances - Healthy instances
+   * @returns {Array} Candidate instances
+   */
+  getCandidateInstances(job, availableInstances) {
+    const model = job.data && job.data.params && job.data.params.model;
+    if (model && !getModelCatalog().isLoaded()) {
+      return [];
+    }
+    const modelInstances = model ? getModelCatalog().getInstancesWithModel(model) : [];
+
+    const withFreeSlots = availableInstances.filter(instance => {
+      const currentJobs = this.instanceJobCounts.get(instance.host) || 0;
+      return currentJobs < this.maxJobsPerInstance &&
+        (modelInstances.length === 0 || modelInstances.includes(instance.host));
+    });
+
+    const excludedInstances = job.excludedInstances || [];
+    if (excludedInstances.length === 0) {
+      return withFreeSlots;
+    }
+
+    const loadBalancer = getLoadBalancer();
+    const allInstancesExcluded = Array.from(loadBalancer.instances.values())
+      .every(instance => excludedInstances.includes(instance.host));
+    if (allInstancesExcluded) {
+      return withFreeSlots;
+    }
+
+    return withFreeSlots.filter(instance => !excludedInstances.includes(instance.host));
+  }
+
   /**
    * Select the best instance for job processing with pre-job health verification
    * @param {Array} availableInstances - Available instances
@@ -278,10 +686,14 @@ class JobProcessor {
    */
   startJobProcessing(job, instance) {
     const jobLogger = createJobLogger(job.id, job.type, instance.host);
+    const attemptNumber = (job.attempts || []).length + 1;
+    const processingStartTime = Date.now();
+    
     jobLogger.info('Starting job processing', {
       jobId: job.id,
       jobType: job.type,
-      instance: instance.host
+      instance: instance.host,
+      attempt: attemptNumber
     });
 
     // Record job creation in metrics
@@ -292,7 +704,10 @@ class JobProcessor {
     const jobManager = getJobManager();
     jobManager.updateJobStatus(job.id, 'processing', {
       comfyuiInstance: instance.host,
-      processingStartTime: Date.now()
+      processingStartTime: processingStartTime,
+      attempt: attemptNumber,
+      nextAttemptTime: null,
+      progress: null
     });
 
     // Track instance job count
@@ -302,11 +717,19 @@ class JobProcessor {
     // Create processing promise
     const processingPromise = this.executeJobWorkflow(job, instance)
       .then(result => {
-        const processingDuration = Date.now() - (job.processingStartTime || job.updatedTime);
+        const processingDuration = Date.now() - processingStartTime;
+        
+        // Don't overwrite a cancellation that raced with the result download
+        const currentJob = jobManager.getJob(job.id);
+        if (!currentJob || currentJob.status === 'cancelled') {
+          jobLogger.info('Discarding result of cancelled job', { processingDuration });
+          jobManager.removeResultFiles(result);
+          return;
+        }
         
         jobLogger.info('Job completed successfully', {
           processingDuration,
-          resultSize: result?.base64?.length || 0
+          resultSize: result.size
         });
         
         // Record successful completion in metrics
@@ -321,21 +744,73 @@ class JobProcessor {
         });
       })
       .catch(error => {
-        const processingDuration = Date.now() - (job.processingStartTime || job.updatedTime);
+        const processingDuration = Date.now() - processingStartTime;
+        
+        if (error.code === 'JOB_CANCELLED') {
+          jobLogger.info('Job processing cancelled', { processingDuration });
+          return; // Status was already set by cancelJob
+        }
+        
+        const currentJob = jobManager.getJob(job.id);
+        if (!currentJob || currentJob.status === 'cancelled') {
+          return;
+        }
+        
+        const errorClass = this.classifyError(error);
         
         jobLogger.error('Job processing failed', {
           error: error.message,
+          errorClass: errorClass,
+          attempt: attemptNumber,
           processingDuration,
           stack: error.stack
         });
         
-        // Record failed completion in metrics
+        // Record failed attempt in metrics
         const metrics = getMetrics();
         metrics.recordJobCompleted(job.type, instance.host, processingDuration, false, error.message);
         
+        // Attempt history is kept on the job record
+        const attempts = [...(job.attempts || []), {
+          attempt: attemptNumber,
+          instance: instance.host,
+          error: error.message,
+          errorClass: errorClass,
+          startedTime: processingStartTime,
+          failedTime: Date.now()
+        }];
+        
+        const retryPolicy = this.getRetryPolicy(job.type);
+        const canRetry = attempts.length < retryPolicy.maxAttempts &&
+                         retryPolicy.retryableErrors.includes(errorClass);
+        
+        if (canRetry) {
+          // Put the job back in the queue, avoiding the instance it just failed on
+          const retryDelay = this.getRetryDelay(retryPolicy, attempts.length);
+          const excludedInstances = Array.from(new Set([...(job.excludedInstances || []), instance.host]));
+          
+          jobLogger.warn('Job attempt failed, scheduling retry', {
+            attempt: attemptNumber,
+            maxAttempts: retryPolicy.maxAttempts,
+            retryDelay: retryDelay,
+            excludedInstances: excludedInstances
+          });
+          
+          jobManager.updateJobStatus(job.id, 'pending', {
+            comfyuiInstance: null,
+            attempts: attempts,
+            excludedInstances: excludedInstances,
+            nextAttemptTime: Date.now() + retryDelay,
+            lastError: error.message
+          });
+          return;
+        }
+        
         // Update job status to failed
         jobManager.updateJobStatus(job.id, 'failed', {
           error: error.message,
+          errorClass: errorClass,
+          attempts: attempts,
           failedTime: Date.now(),
           processingDuration: processingDuration
         });
@@ -343,6 +818,7 @@ class JobProcessor {
       .finally(() => {
         // Clean up tracking
         this.activeProcessingJobs.delete(job.id);
+        this.activeExecutions.delete(job.id);
         
         // Decrement instance job count
         const currentCount = this.instanceJobCounts.get(instance.host) || 0;
@@ -351,12 +827,41 @@ class JobProcessor {
         jobLogger.info('Job processing completed', {
           instanceActiveJobs: this.instanceJobCounts.get(instance.host)
         });
+        
+        // A slot just freed up
+        this.scheduleDispatch();
       });
 
     // Track the active job
     this.activeProcessingJobs.set(job.id, processingPromise);
   }
 
+  /**
+   * Build the workflow graph and output nodes for a job from the workflow registry
+   * Jobs submitted for a named workflow (data.workflow) run it with data.params; other
+   * jobs get the workflow selected by job type and the parameters in the job data (format,
+   * crop, and the processing parameters in data.params). data.params only holds the
+   * submitted values, defaults are applied here
+   * @param {Object} job - Job (or { type, data } for a job about to be created)
+   * @returns {Object} { workflow, inputNodes, outputNodes } with outputNodes mapping requested output names to node IDs
+   * @throws {Error} If no workflow matches the job
+   */
+  buildJobWorkflow(job) {
+    const registry = getWorkflowRegistry();
+    const { name, workflow, inputNodes, outputNodes } = job.data.workflow
+      ? registry.buildNamedWorkflow(job.data.workflow, job.data.params, job.data.outputs)
+      : registry.buildWorkflow(job.type, { ...job.data, ...job.data.params }, job.data.outputs);
+    
+    this.logger.debug('Built workflow for job', {
+      jobId: job.id,
+      jobType: job.type,
+      workflow: name,
+      outputs: Object.keys(outputNodes)
+    });
+    
+    return { workflow, inputNodes, outputNodes };
+  }
+
   /**
    * Execute the workflow for a specific job
    * @param {Object} job - Job to execute
@@ -364,57 +869,24 @@ class JobProcessor {
    * @returns {Promise<Object>} Workflow result
    */
   async executeJobWorkflow(job, instance) {
-    // Get workflow configuration
-    const workflowConfig = this.workflowMap[job.type];
-    if (!workflowConfig) {
-      throw new Error(`Unknown job type: ${job.type}`);
-    }
-
     // Get job data
     const jobData = job.data;
-    if (!jobData || !jobData.imageBase64) {
-      throw new Error('Job data missing required imageBase64');
-    }
-
-    // Get workflow and execute
-    // Check if format parameter is provided
-    let workflow;
-    let targetNode = workflowConfig.targetNode;
-    
-    // Special handling for remove-background with crop parameter
-    if (job.type === 'remove-background' && jobData.crop !== undefined) {
-      const format = jobData.format || 'PNG';
-      if (jobData.crop) {
-        this.logger.debug('Using crop workflow for remove-background', {
-          jobId: job.id,
-          format: format,
-          crop: jobData.crop
-        });
-        workflow = getRemoveBackgroundAndCropWorkflow(format);
-        targetNode = '7'; // Target node for cropped workflow
-      } else {
-        workflow = getRemoveBackgroundWorkflow(format);
-        targetNode = '17'; // Target node for non-cropped workflow
-      }
-    } else if (jobData.format) {
-      this.logger.debug('Using format parameter for workflow', {
-        jobId: job.id,
-        jobType: job.type,
-        format: jobData.format
-      });
-      workflow = workflowConfig.workflow(jobData.format);
-    } else {
-      // Default to PNG if no format specified
-      workflow = workflowConfig.workflow('PNG');
+    if (!jobData || !(jobData.inputKey || jobData.imageBase64)) {
+      throw new Error('Job data missing required input image');
     }
 
+    const { workflow, inputNodes, outputNodes } = this.buildJobWorkflow(job);
+
     try {
+      const inputBuffer = await getJobManager().readJobInput(job);
+      
       // Execute workflow using the existing comfyuiService
       // Note: We need to temporarily override the instance selection in comfyuiService
       const result = await this.executeWorkflowOnInstance(
         workflow, 
-        jobData.imageBase64, 
-        targetNode, 
+        { buffer: inputBuffer, mimeType: jobData.mimeType }, 
+        inputNodes.image, 
+        outputNodes, 
         job.type,
         job.id,
         instance
@@ -438,22 +910,21 @@ class JobProcessor {
   /**
    * Execute workflow on a specific instance (bypassing load balancer selection)
    * @param {Object} workflow - ComfyUI workflow
-   * @param {string} imageBase64 - Base64 image data
-   * @param {string} targetNode - Target node ID
+   * @param {Object} input - Input image { buffer, mimeType }
+   * @param {Array<string>} inputNodeIds - IDs of the nodes that load the input image
+   * @param {Object} outputNodes - Output name to node ID mapping
    * @param {string} jobType - Job type
    * @param {string} jobId - Job ID for unique identification
    * @param {Object} instance - Specific instance to use
    * @returns {Promise<Object>} Execution result
    */
-  async executeWorkflowOnInstance(workflow, imageBase64, targetNode, jobType, jobId, instance) {
+  async executeWorkflowOnInstance(workflow, input, inputNodeIds, outputNodes, jobType, jobId, instance) {
     // This is a simplified version that directly calls the ComfyUI API
     // We bypass the load balancer instance selection
     
     const axios = require('axios');
-    const { v4: uuidv4 } = require('uuid');
     const { getConnectionManager } = require('./connectionManager');
     
-    const clientId = uuidv4();
     const useSSL = process.env.COMFYUI_USE_SSL === 'true';
     const httpProtocol = useSSL ? 'https' : 'http';
     const comfyUrl = `${httpProtocol}://${instance.host}`;
@@ -465,15 +936,39 @@ class JobProcessor {
     const uniqueTimestamp = Date.now();
     const uniqueJobId = `job_${jobId}_${uniqueTimestamp}`;
     
-    // Update input nodes with the base64 image
+    // Register the execution so it can be cancelled while it runs
+    const execution = {
+      comfyUrl: comfyUrl,
+      promptId: null,
+      cancelRequested: false,
+      abort: () => {}
+    };
+    this.activeExecutions.set(jobId, execution);
+    
+    // In upload mode the image is sent once to the instance and loaded by name
+    const uploadedImage = this.inputMode === 'upload'
+      ? await this.uploadInputImage(comfyUrl, input, jobId)
+      : null;
+    
+    // The job was cancelled while its input was read or uploaded: don't queue the prompt
+    if (this.isCancelRequested(jobId, execution)) {
+      throw this.createCancellationError(jobId);
+    }
+    
+    // Update input nodes with the image; base64 is only encoded here, right before submission
     for (const nodeId in modifiedWorkflow) {
       const node = modifiedWorkflow[nodeId];
-      if (node._meta && node._meta.name === 'InputImageBase64') {
-        let base64String = imageBase64;
-        if (imageBase64.includes(',')) {
-          base64String = imageBase64.split(',')[1];
+      if (inputNodeIds.includes(nodeId)) {
+        if (uploadedImage) {
+          // LoadImage has the same IMAGE/MASK outputs as the base64 loader
+          modifiedWorkflow[nodeId] = {
+            inputs: { image: uploadedImage },
+            class_type: 'LoadImage',
+            _meta: node._meta
+          };
+          continue;
         }
-        node.inputs.image = base64String;
+        node.inputs.image = input.buffer.toString('base64');
       }
       
       // Add unique identifier to SaveImage nodes to prevent caching
@@ -484,26 +979,74 @@ class JobProcessor {
       }
     }
     
+    // Acquire the WebSocket before submitting: ComfyUI only sends node-level
+    // messages (executing, progress, executed) to the prompt's client_id
+    const connectionManager = getConnectionManager();
+    let pooledConnection;
+    try {
+      pooledConnection = await connectionManager.getConnection(instance.host);
+    } catch (error) {
+      throw new Error(`Failed to get WebSocket connection: ${error.message}`);
+    }
+    
     // Submit prompt
     const payload = {
       prompt: modifiedWorkflow,
-      client_id: clientId
+      client_id: pooledConnection.id
     };
     
-    const response = await axios.post(`${comfyUrl}/prompt`, payload);
-    const promptId = response.data.prompt_id;
+    if (this.isCancelRequested(jobId, execution)) {
+      connectionManager.releaseConnection(pooledConnection);
+      throw this.createCancellationError(jobId);
+    }
+    
+    let promptId;
+    try {
+      const response = await axios.post(`${comfyUrl}/prompt`, payload);
+      promptId = response.data.prompt_id;
+    } catch (error) {
+      connectionManager.releaseConnection(pooledConnection);
+      throw error;
+    }
+    execution.promptId = promptId;
     
     console.log(`📤 Submitted prompt ${promptId} to ${instance.host} for job processing`);
     
+    // Start tracking real progress for this attempt
+    getJobManager().updateJob(jobId, {
+      progress: {
+        totalNodes: Object.keys(modifiedWorkflow).length,
+        finishedNodes: [],
+        cachedNodes: 0,
+        currentNode: null,
+        currentNodeTitle: null,
+        nodeProgress: null
+      }
+    });
+    
+    // The job was cancelled while the prompt was being submitted
+    if (this.isCancelRequested(jobId, execution)) {
+      connectionManager.releaseConnection(pooledConnection);
+      await this.cancelPromptOnInstance(comfyUrl, promptId);
+      throw this.createCancellationError(jobId);
+    }
+    
     // Monitor execution via WebSocket
-    return new Promise(async (resolve, reject) => {
-      const connectionManager = getConnectionManager();
-      let pooledConnection = null;
+    return new Promise((resolve, reject) => {
+      let messageHandler = null;
+      let disconnectHandler = null;
+      let timeoutId = null;
       let resolved = false;
       let executionCompleted = false;
       
       const cleanup = () => {
         if (pooledConnection) {
+          if (messageHandler) {
+            pooledConnection.offMessage(messageHandler);
+          }
+          if (disconnectHandler) {
+            pooledConnection.off('disconnected', disconnectHandler);
+          }
           connectionManager.releaseConnection(pooledConnection);
           pooledConnection = null;
         }
@@ -519,12 +1062,18 @@ class JobProcessor {
         reject(error);
       };
       
+      // Allow cancelJob to abort the wait for completion
+      execution.abort = () => {
+        if (!resolved) {
+          clearTimeout(timeoutId);
+          rejectWithCleanup(this.createCancellationError(jobId));
+          resolved = true;
+        }
+      };
+      
       try {
-        // Get pooled connection
-        pooledConnection = await connectionManager.getConnection(instance.host);
-        
         // Set up timeout
-        const timeoutId = setTimeout(() => {
+        timeoutId = setTimeout(() => {
           if (!resolved) {
             rejectWithCleanup(new Error('Workflow execution timed out'));
             resolved = true;
@@ -532,10 +1081,19 @@ class JobProcessor {
         }, 180000); // 180 second timeout
         
         // Message handler
-        const messageHandler = async (data) => {
+        messageHandler = async (data) => {
+          if (resolved) {
+            return;
+          }
+          
           try {
             const message = JSON.parse(data.toString());
             
+            // Forward node-level progress for this prompt to job event listeners
+            if (message.data && message.data.prompt_id === promptId) {
+              this.emitExecutionEvent(jobId, message, modifiedWorkflow);
+            }
+            
             if (message.type === 'executing' && message.data) {
               if (message.data.prompt_id === promptId && message.data.node === null) {
                 console.log(`🏁 Workflow execution completed for prompt ${promptId}`);
@@ -544,7 +1102,7 @@ class JobProcessor {
                 
                 // Fetch results
                 try {
-                  const result = await this.fetchWorkflowResults(comfyUrl, promptId, targetNode, jobId);
+                  const result = await this.fetchWorkflowResults(comfyUrl, promptId, outputNodes, jobId);
                   resolveWithCleanup(result);
                   resolved = true;
                 } catch (fetchError) {
@@ -561,7 +1119,7 @@ class JobProcessor {
                 clearTimeout(timeoutId);
                 
                 try {
-                  const result = await this.fetchWorkflowResults(comfyUrl, promptId, targetNode, jobId);
+                  const result = await this.fetchWorkflowResults(comfyUrl, promptId, outputNodes, jobId);
                   resolveWithCleanup(result);
                   resolved = true;
                 } catch (fetchError) {
@@ -583,21 +1141,273 @@ class JobProcessor {
         // Set up message listener
         pooledConnection.onMessage(messageHandler);
         
+        // A dropped WebSocket means we can no longer observe this prompt, fail fast so the job can be retried
+        disconnectHandler = () => {
+          if (!resolved) {
+            console.error(`🔌 WebSocket to ${instance.host} dropped while waiting for prompt ${promptId}`);
+            clearTimeout(timeoutId);
+            this.cancelPromptOnInstance(comfyUrl, promptId);
+            rejectWithCleanup(new Error(`WebSocket connection lost during execution on ${instance.host}`));
+            resolved = true;
+          }
+        };
+        pooledConnection.once('disconnected', disconnectHandler);
+        
       } catch (error) {
-        rejectWithCleanup(new Error(`Failed to get WebSocket connection: ${error.message}`));
+        rejectWithCleanup(new Error(`Failed to monitor prompt ${promptId}: ${error.message}`));
       }
     });
   }
 
+  /**
+   * Translate a ComfyUI WebSocket message into a job execution event
+   * @param {string} jobId - Job ID
+   * @param {Object} message - Parsed ComfyUI message for the job's prompt
+   * @param {Object} workflow - Submitted workflow, used to resolve node titles
+   */
+  emitExecutionEvent(jobId, message, workflow) {
+    const getNodeTitle = (nodeId) => {
+      const node = workflow[nodeId];
+      return (node && node._meta && node._meta.title) || (node && node.class_type) || null;
+    };
+    
+    let event = null;
+    
+    switch (message.type) {
+      case 'execution_start':
+        event = { type: 'execution_start' };
+        break;
+        
+      case 'execution_cached':
+        event = { type: 'cached', nodes: message.data.nodes || [] };
+        break;
+        
+      case 'executing':
+        // node === null marks the end of the prompt, reported as a status change instead
+        if (message.data.node !== null) {
+          event = { type: 'executing', node: message.data.node, node_title: getNodeTitle(message.data.node) };
+        }
+        break;
+        
+      case 'progress':
+        event = {
+          type: 'progress',
+          node: message.data.node,
+          node_title: getNodeTitle(message.data.node),
+          value: message.data.value,
+          max: message.data.max
+        };
+        break;
+        
+      case 'executed':
+        event = { type: 'executed', node: message.data.node, node_title: getNodeTitle(message.data.node) };
+        break;
+    }
+    
+    if (event) {
+      event.progress_percentage = this.trackExecutionProgress(jobId, event);
+      event.timestamp = new Date().toISOString();
+      this.emit('executionEvent', jobId, event);
+    }
+  }
+
+  /**
+   * Update the job's progress record from an execution event
+   * ComfyUI only sends 'executed' for output nodes, so a node is also
+   * considered finished as soon as the next node starts executing
+   * @param {string} jobId - Job ID
+   * @param {Object} event - Execution event built by emitExecutionEvent
+   * @returns {number} Updated progress percentage
+   */
+  trackExecutionProgress(jobId, event) {
+    const jobManager = getJobManager();
+    const job = jobManager.getJob(jobId);
+    
+    if (!job || !job.progress) {
+      return 0;
+    }
+    
+    const progress = { ...job.progress, finishedNodes: [...job.progress.finishedNodes] };
+    const markFinished = (nodeId) => {
+      if (nodeId && !progress.finishedNodes.includes(nodeId)) {
+        progress.finishedNodes.push(nodeId);
+        return true;
+      }
+      return false;
+    };
+    
+    switch (event.type) {
+      case 'cached':
+        for (const nodeId of event.nodes) {
+          if (markFinished(nodeId)) {
+            progress.cachedNodes++;
+          }
+        }
+        break;
+        
+      case 'executing':
+        markFinished(progress.currentNode);
+        progress.currentNode = event.node;
+        progress.currentNodeTitle = event.node_title;
+        progress.nodeProgress = null;
+        break;
+        
+      case 'progress':
+        if (event.node && event.node !== progress.currentNode) {
+          markFinished(progress.currentNode);
+          progress.currentNode = event.node;
+          progress.currentNodeTitle = event.node_title;
+        }
+        progress.nodeProgress = { value: event.value, max: event.max };
+        break;
+        
+      case 'executed':
+        markFinished(event.node);
+        break;
+    }
+    
+    // Progress changes many times per second, it is not worth a disk write each time
+    jobManager.updateJob(jobId, { progress }, { persist: false });
+    
+    return calculateProgressPercentage(progress);
+  }
+
+  /**
+   * Cancel a pending or processing job
+   * Pending jobs are only marked cancelled. For processing jobs the prompt is
+   * removed from the ComfyUI queue, or interrupted if it is already running,
+   * and the execution is aborted so the instance slot is released.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Outcome { cancelled, previousStatus, comfyuiAction } or { cancelled: false, reason }
+   */
+  async cancelJob(jobId) {
+    const jobManager = getJobManager();
+    const job = jobManager.getJob(jobId);
+    
+    if (!job) {
+      return { cancelled: false, reason: 'not_found' };
+    }
+    
+    if (jobManager.isTerminalStatus(job.status)) {
+      return { cancelled: false, reason: 'already_finished', status: job.status };
+    }
+    
+    jobManager.updateJobStatus(jobId, 'cancelled', {
+      cancelledTime: Date.now()
+    });
+    
+    let comfyuiAction = 'none';
+    const execution = this.activeExecutions.get(jobId);
+    
+    if (execution) {
+      execution.cancelRequested = true;
+      
+      if (execution.promptId) {
+        comfyuiAction = await this.cancelPromptOnInstance(execution.comfyUrl, execution.promptId);
+      }
+      
+      execution.abort();
+    }
+    
+    this.logger.info('Job cancelled', {
+      jobId: jobId,
+      previousStatus: job.status,
+      comfyuiAction: comfyuiAction
+    });
+    
+    return {
+      cancelled: true,
+      previousStatus: job.status,
+      comfyuiAction: comfyuiAction
+    };
+  }
+
+  /**
+   * Remove a prompt from a ComfyUI instance's queue, or interrupt it if it is running
+   * @param {string} comfyUrl - ComfyUI base URL
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<string>} Action taken: 'dequeued', 'interrupted', 'not_found' or 'failed'
+   */
+  async cancelPromptOnInstance(comfyUrl, promptId) {
+    const axios = require('axios');
+    
+    try {
+      const queueResponse = await axios.get(`${comfyUrl}/queue`, { timeout: 5000 });
+      const queue = queueResponse.data || {};
+      const matchesPrompt = item => Array.isArray(item) && item[1] === promptId;
+      
+      if ((queue.queue_pending || []).some(matchesPrompt)) {
+        await axios.post(`${comfyUrl}/queue`, { delete: [promptId] }, { timeout: 5000 });
+        console.log(`🗑️  Removed prompt ${promptId} from ComfyUI queue at ${comfyUrl}`);
+        return 'dequeued';
+      }
+      
+      if ((queue.queue_running || []).some(matchesPrompt)) {
+        await axios.post(`${comfyUrl}/interrupt`, { prompt_id: promptId }, { timeout: 5000 });
+        console.log(`⛔ Interrupted running prompt ${promptId} on ${comfyUrl}`);
+        return 'interrupted';
+      }
+      
+      return 'not_found';
+    } catch (error) {
+      console.error(`❌ Failed to cancel prompt ${promptId} on ${comfyUrl}:`, error.message);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Check whether a job was cancelled, including before its execution was registered
+   * (while its input was read from storage)
+   * @param {string} jobId - Job ID
+   * @param {Object} execution - Execution record of the job
+   * @returns {boolean} True if the job must not go on
+   */
+  isCancelRequested(jobId, execution) {
+    const job = getJobManager().getJob(jobId);
+    return execution.cancelRequested || !job || job.status === 'cancelled';
+  }
+
+  /**
+   * Create the error used to abort a cancelled execution
+   * @param {string} jobId - Job ID
+   * @returns {Error} Cancellation error with code JOB_CANCELLED
+   */
+  createCancellationError(jobId) {
+    const error = new Error(`Job ${jobId} was cancelled`);
+    error.code = 'JOB_CANCELLED';
+    return error;
+  }
+
+  /**
+   * Upload an input image to a ComfyUI instance (COMFYUI_INPUT_MODE=upload)
+   * The file is named after the job, so retries overwrite it instead of piling up
+   * @param {string} comfyUrl - ComfyUI base URL
+   * @param {Object} input - Input image { buffer, mimeType }
+   * @param {string} jobId - Job ID
+   * @returns {Promise<string>} Image reference for a LoadImage node ("subfolder/name" or "name")
+   */
+  async uploadInputImage(comfyUrl, input, jobId) {
+    const axios = require('axios');
+
+    const form = new FormData();
+    form.append('image', new Blob([input.buffer], { type: input.mimeType }), `${jobId}.${getImageExtension(input.mimeType)}`);
+    form.append('overwrite', 'true');
+
+    const response = await axios.post(`${comfyUrl}/upload/image`, form);
+    const { name, subfolder } = response.data;
+
+    return subfolder ? `${subfolder}/${name}` : name;
+  }
+
   /**
    * Fetch workflow results from ComfyUI history
    * @param {string} comfyUrl - ComfyUI base URL
    * @param {string} promptId - Prompt ID
-   * @param {string} targetNode - Target node ID
-   * @param {string} jobId - Job ID for output folder naming
-   * @returns {Promise<Object>} Result data
+   * @param {Object} outputNodes - Output name to node ID mapping, the first output is the default
+   * @param {string} jobId - Job ID the result is stored under
+   * @returns {Promise<Object>} Result (see buildJobResult)
    */
-  async fetchWorkflowResults(comfyUrl, promptId, targetNode, jobId) {
+  async fetchWorkflowResults(comfyUrl, promptId, outputNodes, jobId) {
     const axios = require('axios');
     
     // Wait a bit for results to be saved
@@ -611,58 +1421,69 @@ class JobProcessor {
     }
     
     const outputs = history[promptId].outputs;
+    const resultOutputs = {};
     
-    // Find the target node or first node with images
-    let imageInfo = null;
-    if (targetNode && outputs[targetNode] && outputs[targetNode].images) {
-      imageInfo = outputs[targetNode].images[0];
-    } else {
-      for (const [nodeId, output] of Object.entries(outputs)) {
-        if (output.images && output.images.length > 0) {
-          imageInfo = output.images[0];
-          break;
-        }
+    for (const [name, nodeId] of Object.entries(outputNodes)) {
+      // Only the declared output node counts; another node's image would be the wrong result
+      const imageInfo = outputs[nodeId] && outputs[nodeId].images ? outputs[nodeId].images[0] : null;
+      
+      if (!imageInfo) {
+        throw new Error(`No images found in workflow output "${name}" (node ${nodeId})`);
       }
-    }
-    
-    if (!imageInfo) {
-      throw new Error('No images found in workflow output');
-    }
-    
-    // Download the image
-    const imageResponse = await axios.get(`${comfyUrl}/view`, {
-      params: {
+      
+      // Download the image
+      const imageResponse = await axios.get(`${comfyUrl}/view`, {
+        params: {
+          filename: imageInfo.filename,
+          subfolder: imageInfo.subfolder || '',
+          type: imageInfo.type
+        },
+        responseType: 'arraybuffer'
+      });
+      
+      const imageBuffer = Buffer.from(imageResponse.data);
+      const contentType = imageResponse.headers['content-type'] || 'image/png';
+      
+      // Store the image; the job only keeps its key
+      const key = `${jobId}/${imageInfo.filename}`;
+      await getStorage().put(key, imageBuffer, contentType);
+      
+      resultOutputs[name] = {
+        key: key,
         filename: imageInfo.filename,
-        subfolder: imageInfo.subfolder || '',
-        type: imageInfo.type
-      },
-      responseType: 'arraybuffer'
-    });
-    
-    const imageBuffer = Buffer.from(imageResponse.data);
-    const contentType = imageResponse.headers['content-type'] || 'image/png';
-    const base64Image = `data:${contentType};base64,${imageBuffer.toString('base64')}`;
-    
-    // Save file if OUTPUT_FILES is enabled
-    if (process.env.OUTPUT_FILES === 'true') {
-      const outputDir = path.join(process.cwd(), 'data', 'outputs', jobId);
-      try {
-        await fs.mkdir(outputDir, { recursive: true });
-        const fileName = imageInfo.filename;
-        const filePath = path.join(outputDir, fileName);
-        await fs.writeFile(filePath, imageBuffer);
-        console.log(`✅ Image saved to: ${filePath}`);
-      } catch (saveError) {
-        console.error('❌ Failed to save output file:', saveError);
-      }
+        mimeType: contentType,
+        size: imageBuffer.length
+      };
     }
     
+    return this.buildJobResult(promptId, resultOutputs);
+  }
+
+  /**
+   * Build a job result from its stored outputs
+   * The default (first) output is also exposed at the top level, where the
+   * result routes, webhooks and jobs from before named outputs look for it
+   * @param {string} promptId - ComfyUI prompt ID
+   * @param {Object} outputs - Output name to { key, filename, mimeType, size }
+   * @returns {Object} Result { promptId, key, filename, mimeType, size, outputs }
+   */
+  buildJobResult(promptId, outputs) {
     return {
-      base64: base64Image,
-      promptId: promptId
+      promptId: promptId,
+      ...Object.values(outputs)[0],
+      outputs: outputs
     };
   }
 
+  /**
+   * Get the output names a job type can produce
+   * @param {string} jobType - Job type
+   * @returns {Array<string>} Output names, the first one is the default
+   */
+  getOutputNames(jobType) {
+    return getWorkflowRegistry().getOutputNames(jobType);
+  }
+
   /**
    * Check if an error is instance-related (connection/health issue)
    * @param {Error} error - Error to check
@@ -676,18 +1497,125 @@ class JobProcessor {
            error.message.includes('WebSocket');
   }
 
+  /**
+   * Classify an error to decide whether a job may be retried
+   * @param {Error} error - Error thrown while executing a job
+   * @returns {string} Error class: circuit_open, execution, timeout, instance, result, http or unknown
+   */
+  classifyError(error) {
+    const message = error.message || '';
+    
+    if (error.code === 'CIRCUIT_BREAKER_OPEN') {
+      return 'circuit_open';
+    }
+    if (message.startsWith('Workflow execution error')) {
+      return 'execution'; // ComfyUI rejected or failed the graph itself
+    }
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED' || message.includes('timed out')) {
+      return 'timeout';
+    }
+    if (this.isInstanceError(error)) {
+      return 'instance';
+    }
+    if (message.includes('No images found') || message.includes('No history found')) {
+      return 'result';
+    }
+    if (error.response) {
+      return 'http';
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Load per-job-type retry policies from JOB_RETRY_POLICIES
+   * Example: {"upscale-image": {"maxAttempts": 2, "retryableErrors": ["instance"]}}
+   * @returns {Object} Map of job type to partial retry policy
+   */
+  loadRetryPolicies() {
+    if (!process.env.JOB_RETRY_POLICIES) {
+      return {};
+    }
+    
+    try {
+      return JSON.parse(process.env.JOB_RETRY_POLICIES);
+    } catch (error) {
+      this.logger.error('Invalid JOB_RETRY_POLICIES, using default retry policy', {
+        error: error.message
+      });
+      return {};
+    }
+  }
+
+  /**
+   * Load per job type queue limits from QUEUE_MAX_PENDING_PER_TYPE (JSON)
+   * e.g. {"upscale-image":50}
+   * @returns {Object} Job type -> maximum pending jobs
+   */
+  loadQueueLimits() {
+    if (!process.env.QUEUE_MAX_PENDING_PER_TYPE) {
+      return {};
+    }
+    
+    try {
+      return JSON.parse(process.env.QUEUE_MAX_PENDING_PER_TYPE);
+    } catch (error) {
+      this.logger.error('Invalid QUEUE_MAX_PENDING_PER_TYPE, using the global queue limit only', {
+        error: error.message
+      });
+      return {};
+    }
+  }
+
+  /**
+   * Get the effective retry policy for a job type
+   * @param {string} jobType - Job type
+   * @returns {Object} Retry policy
+   */
+  getRetryPolicy(jobType) {
+    return {
+      ...this.defaultRetryPolicy,
+      ...(this.retryPolicies[jobType] || {})
+    };
+  }
+
+  /**
+   * Calculate the exponential backoff before the next attempt
+   * @param {Object} retryPolicy - Retry policy
+   * @param {number} failedAttempts - Number of attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(retryPolicy, failedAttempts) {
+    const delay = retryPolicy.backoffMs * Math.pow(retryPolicy.backoffMultiplier, failedAttempts - 1);
+    return Math.min(delay, retryPolicy.maxBackoffMs);
+  }
+
   /**
    * Get processor statistics
    * @returns {Object} Processor stats
    */
   getStats() {
+    const jobManager = getJobManager();
+    const queuedByPriority = Object.fromEntries(PRIORITY_LANES.map(lane => [lane, 0]));
+    for (const job of jobManager.getJobsByStatus('pending')) {
+      queuedByPriority[PRIORITY_LANES[getPriorityRank(job.data && job.data.priority)]]++;
+    }
+    
     return {
       isRunning: this.isRunning,
       activeJobs: this.activeProcessingJobs.size,
       maxConcurrentJobs: this.maxConcurrentJobs,
       instanceJobCounts: Object.fromEntries(this.instanceJobCounts),
+      queuedJobs: this.jobQueue.size,
+      maxPendingJobs: this.maxPendingJobs,
+      maxPendingJobsByType: this.maxPendingJobsByType,
       processingInterval: this.processingInterval,
-      maxJobsPerInstance: this.maxJobsPerInstance
+      maxJobsPerInstance: this.maxJobsPerInstance,
+      defaultRetryPolicy: this.defaultRetryPolicy,
+      retryPolicies: this.retryPolicies,
+      priorityAgingInterval: this.priorityAgingInterval,
+      queuedByPriority: queuedByPriority,
+      inFlightJobs: this.inFlightJobs.size,
+      resultCache: getResultCache().getStats()
     };
   }
 
@@ -709,22 +1637,251 @@ class JobProcessor {
 
   /**
    * Add a job to the processing queue
+   * The input image is written to storage first; the job only keeps its key
    * @param {string} jobType - Type of job
-   * @param {Object} jobData - Job data including imageBase64
-   * @returns {string} Job ID
+   * @param {Object} jobData - Job data including mimeType and the input image, either
+   *   imagePath + imageHash (streamed upload) or imageBuffer
+   * @returns {Promise<string>} Job ID
    */
-  addJob(jobType, jobData) {
+  async addJob(jobType, jobData) {
     const jobManager = getJobManager();
-    const jobId = jobManager.createJob(jobType, {
-      ...jobData,
-      imageBase64: jobData.imageBase64,
-      submittedAt: new Date().toISOString()
-    });
+    const resultCache = getResultCache();
+    const { imageBuffer, imagePath, imageHash, ...data } = jobData;
+    
+    const { workflow } = this.buildJobWorkflow({ type: jobType, data: data });
+    const inputHash = imageHash || crypto.createHash('sha256').update(imageBuffer).digest('hex');
+    const cacheKey = resultCache.createKey(inputHash, jobType, workflow);
+    
+    const jobId = uuidv4();
+    const inputKey = `${jobId}/input.${getImageExtension(data.mimeType)}`;
+    if (imagePath) {
+      await getStorage().putFile(inputKey, imagePath, data.mimeType);
+    } else {
+      await getStorage().put(inputKey, imageBuffer, data.mimeType);
+    }
     
+    jobManager.createJob(jobType, {
+      ...data,
+      inputKey: inputKey,
+      submittedAt: new Date().toISOString(),
+      cacheKey: cacheKey
+    }, null, jobId);
+    
+    // Identical input already processed: complete from the cache without GPU work
+    if (resultCache.has(cacheKey)) {
+      this.completeFromCache(jobId, cacheKey).catch(error => {
+        this.logger.error('Failed to complete job from result cache', { jobId, error: error.message });
+      });
+      return jobId;
+    }
+    
+    // Identical input currently queued or running: wait for that job instead of running twice
+    const leaderId = this.inFlightJobs.get(cacheKey);
+    if (leaderId) {
+      jobManager.updateJob(jobId, { mergedInto: leaderId });
+      console.log(`🔗 Merged job ${jobId} (${jobType}) onto identical in-flight job ${leaderId}`);
+      return jobId;
+    }
+    
+    this.inFlightJobs.set(cacheKey, jobId);
+    this.enqueueJob(jobManager.getJob(jobId));
     console.log(`📝 Added job ${jobId} (${jobType}) to processing queue`);
     return jobId;
   }
 
+  /**
+   * Complete a job with a cached result
+   * The job is not queued for dispatch while the entry is read; if the entry
+   * turns out to be gone, or it cannot be read or copied to storage, the job is
+   * queued normally
+   * @param {string} jobId - Job ID
+   * @param {string} cacheKey - Cache key
+   */
+  async completeFromCache(jobId, cacheKey) {
+    const jobManager = getJobManager();
+    const storage = getStorage();
+    
+    // Every job owns a copy of its result, so it can be cleaned up independently
+    let result = null;
+    const writtenKeys = [];
+    try {
+      const cached = await getResultCache().get(cacheKey);
+      if (cached) {
+        const outputs = {};
+        for (const [name, output] of Object.entries(cached.result.outputs)) {
+          const key = `${jobId}/${output.filename}`;
+          await storage.put(key, cached.buffers[name], output.mimeType);
+          writtenKeys.push(key);
+          outputs[name] = { ...output, key: key };
+        }
+        result = this.buildJobResult(cached.result.promptId, outputs);
+      }
+    } catch (error) {
+      this.logger.warn('Result cache entry unusable, processing the job instead', {
+        jobId,
+        error: error.message
+      });
+      result = null;
+      await Promise.all(writtenKeys.map(key => storage.remove(key).catch(() => {})));
+    }
+    
+    const job = jobManager.getJob(jobId);
+    if (!job || job.status !== 'pending') {
+      return; // Cancelled or deleted meanwhile
+    }
+    
+    if (result) {
+      console.log(`⚡ Job ${jobId} (${job.type}) served from result cache`);
+      jobManager.updateJobStatus(jobId, 'completed', {
+        result: result,
+        cacheHit: true,
+        completedTime: Date.now(),
+        processingDuration: 0
+      });
+      return;
+    }
+    
+    // Cache miss after all, behave like a fresh submission
+    const leaderId = this.inFlightJobs.get(cacheKey);
+    if (leaderId) {
+      jobManager.updateJob(jobId, { mergedInto: leaderId });
+    } else {
+      this.inFlightJobs.set(cacheKey, jobId);
+      this.enqueueJob(job);
+    }
+  }
+
+  /**
+   * React to job status changes
+   * Jobs put back to pending (retry) re-enter the dispatch queue, all others leave it.
+   * For in-flight jobs that others were merged onto:
+   * - completed: cache the result and complete the merged jobs with it
+   * - failed: fail the merged jobs with the same error
+   * - cancelled: the oldest merged job takes over and the others follow it
+   * @param {Object} job - Job snapshot after the transition
+   */
+  handleJobStatusChanged(job) {
+    const jobManager = getJobManager();
+    const cacheKey = job.data && job.data.cacheKey;
+    
+    if (job.status === 'pending' && !job.mergedInto) {
+      this.enqueueJob(job);
+    } else if (job.status !== 'pending') {
+      this.jobQueue.remove(job.id);
+    }
+    
+    if (!cacheKey || !jobManager.isTerminalStatus(job.status) || this.inFlightJobs.get(cacheKey) !== job.id) {
+      return;
+    }
+    
+    this.inFlightJobs.delete(cacheKey);
+    
+    if (job.status === 'completed') {
+      jobManager.readJobOutputs(job)
+        .then(buffers => getResultCache().set(cacheKey, job.type, job.result, buffers))
+        .catch(error => this.logger.warn('Failed to cache job result', { jobId: job.id, error: error.message }));
+    }
+    
+    const mergedJobs = jobManager.getJobsByStatus('pending')
+      .filter(pendingJob => pendingJob.mergedInto === job.id)
+      .sort((a, b) => a.createdTime - b.createdTime);
+    
+    if (mergedJobs.length === 0) {
+      return;
+    }
+    
+    if (job.status === 'completed') {
+      for (const mergedJob of mergedJobs) {
+        this.completeMergedJob(mergedJob.id, job);
+      }
+    } else if (job.status === 'failed') {
+      for (const mergedJob of mergedJobs) {
+        jobManager.updateJobStatus(mergedJob.id, 'failed', {
+          error: job.error,
+          errorDetails: job.errorDetails,
+          failedTime: Date.now()
+        });
+      }
+    } else {
+      const [newLeader, ...followers] = mergedJobs;
+      jobManager.updateJob(newLeader.id, { mergedInto: null });
+      this.inFlightJobs.set(cacheKey, newLeader.id);
+      this.enqueueJob(newLeader);
+      for (const follower of followers) {
+        jobManager.updateJob(follower.id, { mergedInto: newLeader.id });
+      }
+    }
+    
+    console.log(`🔗 Settled ${mergedJobs.length} jobs merged onto ${job.id} (${job.status})`);
+  }
+
+  /**
+   * Complete a merged job with a copy of the result of the job it was merged onto
+   * @param {string} jobId - Merged job ID
+   * @param {Object} leader - Completed job
+   */
+  async completeMergedJob(jobId, leader) {
+    const jobManager = getJobManager();
+    const outputs = {};
+    
+    try {
+      for (const [name, output] of Object.entries(leader.result.outputs)) {
+        const key = `${jobId}/${output.filename}`;
+        await getStorage().copy(output.key, key);
+        outputs[name] = { ...output, key: key };
+      }
+    } catch (error) {
+      jobManager.removeResultFiles({ outputs });
+      jobManager.updateJobStatus(jobId, 'failed', {
+        error: `Failed to copy result of merged job ${leader.id}: ${error.message}`,
+        failedTime: Date.now()
+      });
+      return;
+    }
+    
+    const result = this.buildJobResult(leader.result.promptId, outputs);
+    const job = jobManager.getJob(jobId);
+    if (!job || job.status !== 'pending') {
+      jobManager.removeResultFiles(result);
+      return; // Cancelled or deleted meanwhile
+    }
+    
+    jobManager.updateJobStatus(jobId, 'completed', {
+      result: result,
+      completedTime: Date.now(),
+      processingDuration: 0
+    });
+  }
+
+  /**
+   * Rebuild the in-flight job index from restored jobs
+   * Merged jobs whose in-flight job did not survive the restart are queued again
+   */
+  restoreInFlightJobs() {
+    const jobManager = getJobManager();
+    const unfinishedJobs = [...jobManager.getJobsByStatus('pending'), ...jobManager.getJobsByStatus('processing')]
+      .filter(job => job.data && job.data.cacheKey)
+      .sort((a, b) => a.createdTime - b.createdTime);
+    
+    for (const job of unfinishedJobs) {
+      if (!job.mergedInto && !this.inFlightJobs.has(job.data.cacheKey)) {
+        this.inFlightJobs.set(job.data.cacheKey, job.id);
+      }
+    }
+    
+    for (const job of unfinishedJobs) {
+      if (job.mergedInto && this.inFlightJobs.get(job.data.cacheKey) !== job.mergedInto) {
+        const leaderId = this.inFlightJobs.get(job.data.cacheKey);
+        if (leaderId) {
+          jobManager.updateJob(job.id, { mergedInto: leaderId });
+        } else {
+          jobManager.updateJob(job.id, { mergedInto: null });
+          this.inFlightJobs.set(job.data.cacheKey, job.id);
+        }
+      }
+    }
+  }
+
   /**
    * Graceful shutdown
    */
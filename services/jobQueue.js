@@ -0,0 +1,115 @@
+const { PRIORITY_LANES, getPriorityRank } = require('../utils/jobPriority');
+
+/**
+ * Queue of dispatchable pending jobs
+ * One FIFO per priority lane, each kept in creation order so a job that is put back
+ * (retry, restart) regains its original place. Aging never reorders jobs within a
+ * lane, so the dispatch order is a merge of the lane heads.
+ */
+class JobQueue {
+  constructor() {
+    this.lanes = new Map(PRIORITY_LANES.map(lane => [lane, []])); // lane -> [{ id, priority, createdTime }]
+    this.jobLanes = new Map(); // job ID -> lane
+  }
+
+  /**
+   * Add a pending job to its lane
+   * @param {Object} job - Pending job
+   * @returns {boolean} False if the job was already queued
+   */
+  enqueue(job) {
+    if (this.jobLanes.has(job.id)) {
+      return false;
+    }
+
+    const lane = PRIORITY_LANES[getPriorityRank(job.data && job.data.priority)];
+    const entries = this.lanes.get(lane);
+    const entry = { id: job.id, priority: lane, createdTime: job.createdTime };
+
+    // Binary search for the insert position; new jobs land at the tail
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (entries[middle].createdTime <= entry.createdTime) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    entries.splice(low, 0, entry);
+    this.jobLanes.set(job.id, lane);
+    return true;
+  }
+
+  /**
+   * Remove a job from the queue
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was queued
+   */
+  remove(jobId) {
+    const lane = this.jobLanes.get(jobId);
+    if (!lane) {
+      return false;
+    }
+
+    const entries = this.lanes.get(lane);
+    entries.splice(entries.findIndex(entry => entry.id === jobId), 1);
+    this.jobLanes.delete(jobId);
+    return true;
+  }
+
+  /**
+   * Check whether a job is queued
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if queued
+   */
+  has(jobId) {
+    return this.jobLanes.has(jobId);
+  }
+
+  /**
+   * Number of queued jobs
+   * @returns {number} Queue length
+   */
+  get size() {
+    return this.jobLanes.size;
+  }
+
+  /**
+   * Get queued job IDs in dispatch order: lowest effective rank, then oldest first
+   * @param {Function} rankOf - (entry) => effective rank of a queue entry
+   * @returns {Array<string>} Job IDs
+   */
+  getOrdered(rankOf) {
+    const heads = Array.from(this.lanes.values()).map(entries => ({ entries, index: 0 }));
+    const ordered = [];
+
+    while (ordered.length < this.jobLanes.size) {
+      let best = null;
+      let bestRank = Infinity;
+
+      for (const head of heads) {
+        const entry = head.entries[head.index];
+        if (!entry) {
+          continue;
+        }
+        const rank = rankOf(entry);
+        if (rank < bestRank || (rank === bestRank && entry.createdTime < best.entries[best.index].createdTime)) {
+          best = head;
+          bestRank = rank;
+        }
+      }
+
+      ordered.push(best.entries[best.index].id);
+      best.index++;
+    }
+
+    return ordered;
+  }
+}
+
+module.exports = {
+  JobQueue
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Non-persistent job store - jobs only live in the JobManager's memory
+ * Used when JOB_STORE=memory (e.g. local development)
+ */
+class MemoryJobStore {
+  constructor() {
+    this.type = 'memory';
+  }
+
+  /**
+   * Load all persisted jobs
+   * @returns {Array} Always empty - nothing is persisted
+   */
+  loadAll() {
+    return [];
+  }
+
+  /**
+   * Persist a job (no-op)
+   * @param {Object} job - Job object
+   * @returns {Promise<void>}
+   */
+  async save(job) {}
+
+  /**
+   * Remove a persisted job (no-op)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async remove(jobId) {}
+
+  /**
+   * Wait for outstanding writes (no-op)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  /**
+   * Get store status information
+   * @returns {Object} Store status
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      persistent: false
+    };
+  }
+}
+
+/**
+ * File-based job store - one JSON file per job in the configured directory
+ * Writes are atomic (temp file + rename) and serialized per job so that
+ * a slow write can never overwrite a newer job state
+ */
+class FileJobStore {
+  constructor(directory) {
+    this.type = 'file';
+    this.directory = directory;
+    this.pendingWrites = new Map(); // jobId -> promise of the latest queued write
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Get the file path for a job
+   * @param {string} jobId - Job ID
+   * @returns {string} Absolute file path
+   */
+  getJobFilePath(jobId) {
+    return path.join(this.directory, `${jobId}.json`);
+  }
+
+  /**
+   * Load all persisted jobs (synchronous, called once on startup)
+   * @returns {Array} Array of job objects
+   */
+  loadAll() {
+    const jobs = [];
+    const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const job = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (job && job.id) {
+          jobs.push(job);
+        }
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable job file ${file}: ${error.message}`);
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Persist a job
+   * The job is serialized immediately so later in-memory changes do not leak into this write
+   * @param {Object} job - Job object
+   * @returns {Promise<void>}
+   */
+  save(job) {
+    const payload = JSON.stringify(job);
+    const filePath = this.getJobFilePath(job.id);
+    const tempFile = `${filePath}.tmp`;
+
+    return this.enqueueWrite(job.id, async () => {
+      await fs.promises.writeFile(tempFile, payload);
+      await fs.promises.rename(tempFile, filePath);
+    });
+  }
+
+  /**
+   * Remove a persisted job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  remove(jobId) {
+    const filePath = this.getJobFilePath(jobId);
+
+    return this.enqueueWrite(jobId, async () => {
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Chain a write operation after any pending write for the same job
+   * @param {string} jobId - Job ID
+   * @param {Function} operation - Async write operation
+   * @returns {Promise<void>}
+   */
+  enqueueWrite(jobId, operation) {
+    const previous = this.pendingWrites.get(jobId) || Promise.resolve();
+
+    const next = previous
+      .then(operation)
+      .catch(error => {
+        console.error(`❌ Failed to persist job ${jobId}:`, error.message);
+      })
+      .finally(() => {
+        if (this.pendingWrites.get(jobId) === next) {
+          this.pendingWrites.delete(jobId);
+        }
+      });
+
+    this.pendingWrites.set(jobId, next);
+    return next;
+  }
+
+  /**
+   * Wait for all outstanding writes to finish
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.allSettled(Array.from(this.pendingWrites.values()));
+  }
+
+  /**
+   * Get store status information
+   * @returns {Object} Store status
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      persistent: true,
+      directory: this.directory,
+      pendingWrites: this.pendingWrites.size
+    };
+  }
+}
+
+/**
+ * Create the job store configured via JOB_STORE (file or memory)
+ * @param {string} directory - Optional directory for the file store (defaults to JOB_STORE_PATH)
+ * @returns {FileJobStore|MemoryJobStore} Job store instance
+ */
+function createJobStore(directory) {
+  const storeType = (process.env.JOB_STORE || 'file').toLowerCase();
+
+  if (storeType === 'memory') {
+    return new MemoryJobStore();
+  }
+
+  if (storeType !== 'file') {
+    throw new Error(`Invalid JOB_STORE: ${storeType}. Must be "file" or "memory".`);
+  }
+
+  const storeDirectory = directory || process.env.JOB_STORE_PATH || path.join(__dirname, '..', 'data', 'jobs');
+  return new FileJobStore(path.resolve(storeDirectory));
+}
+
+module.exports = {
+  MemoryJobStore,
+  FileJobStore,
+  createJobStore
+};
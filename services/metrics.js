@@ -293,6 +293,19 @@ class BasicMetrics {
     }
   }
 
+  /**
+   * Get the observed average processing time for a job type
+   * @param {string} type - Job type
+   * @returns {number|null} Average processing time in milliseconds, or null if no job of this type completed yet
+   */
+  getAverageProcessingTime(type) {
+    const typeStats = this.jobTypeStats.get(type);
+    if (!typeStats || typeStats.completedJobs === 0) {
+      return null;
+    }
+    return typeStats.averageProcessingTime;
+  }
+
   /**
    * Get current metrics statistics
    * @returns {Object} Comprehensive metrics data
@@ -0,0 +1,214 @@
+const axios = require('axios');
+const { createServiceLogger } = require('../utils/logger');
+const { getLoadBalancer } = require('./loadBalancer');
+
+// Native scale assumed for model files whose name does not state one (4x is the common case)
+const DEFAULT_MODEL_SCALE = 4;
+
+/**
+ * Catalogue of the upscale models installed on each ComfyUI instance
+ * Read from the UpscaleModelLoader node definition (/object_info/UpscaleModelLoader),
+ * which lists the files in the instance's models/upscale_models directory. Refreshed
+ * periodically and whenever an instance recovers, so newly installed models show up
+ * without a restart
+ */
+class ModelCatalog {
+  constructor() {
+    this.logger = createServiceLogger('model-catalog');
+
+    // Configuration
+    this.refreshInterval = parseInt(process.env.MODEL_CATALOG_REFRESH_INTERVAL) || 300000; // 5 minutes
+    this.requestTimeout = parseInt(process.env.MODEL_CATALOG_TIMEOUT) || 10000; // 10 seconds
+
+    this.instances = new Map(); // instance id -> { id, host, models, lastRefreshTime, error }
+    this.lastRefreshTime = null;
+    this.refreshPromise = null;
+
+    const loadBalancer = getLoadBalancer();
+    for (const instance of loadBalancer.instances.values()) {
+      this.instances.set(instance.id, {
+        id: instance.id,
+        host: instance.host,
+        protocol: instance.protocol,
+        models: null,
+        lastRefreshTime: null,
+        error: null
+      });
+    }
+
+    // Re-read the catalogue of an instance that comes back, its models may have changed
+    loadBalancer.healthChecker.on('instanceHealthy', (instance) => {
+      this.refreshInstance(instance.id);
+    });
+
+    this.refresh();
+    this.refreshIntervalId = setInterval(() => this.refresh(), this.refreshInterval);
+
+    this.logger.info('ModelCatalog initialized', {
+      instances: this.instances.size,
+      refreshInterval: this.refreshInterval
+    });
+  }
+
+  /**
+   * Refresh the catalogue of every instance
+   * Concurrent calls share the refresh in progress
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = Promise.all(Array.from(this.instances.keys()).map(id => this.refreshInstance(id)))
+        .then(() => {
+          this.lastRefreshTime = Date.now();
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Refresh the catalogue of one instance
+   * An unreachable instance keeps its last known models and records the error
+   * @param {string} instanceId - Instance ID
+   * @returns {Promise<void>}
+   */
+  async refreshInstance(instanceId) {
+    const instance = this.instances.get(instanceId);
+    if (!instance) {
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${instance.protocol}://${instance.host}/object_info/UpscaleModelLoader`, {
+        timeout: this.requestTimeout
+      });
+      const models = this.parseUpscaleModels(response.data);
+      if (!models) {
+        throw new Error('UpscaleModelLoader is not available on this instance');
+      }
+
+      const previous = instance.models ? instance.models.join('\n') : null;
+      instance.models = models;
+      instance.lastRefreshTime = Date.now();
+      instance.error = null;
+
+      if (previous !== models.join('\n')) {
+        this.logger.info('Upscale models updated', {
+          instance: instance.host,
+          models: models
+        });
+      }
+    } catch (error) {
+      instance.error = error.message;
+      this.logger.warn('Failed to read upscale models', {
+        instance: instance.host,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Extract the model file names from an /object_info/UpscaleModelLoader response
+   * @param {Object} objectInfo - Response body
+   * @returns {Array<string>|null} Model file names, null if the node is missing
+   */
+  parseUpscaleModels(objectInfo) {
+    const required = objectInfo && objectInfo.UpscaleModelLoader && objectInfo.UpscaleModelLoader.input &&
+      objectInfo.UpscaleModelLoader.input.required;
+    const choices = required && required.model_name && required.model_name[0];
+    return Array.isArray(choices) ? choices.filter(name => typeof name === 'string') : null;
+  }
+
+  /**
+   * Get the native scale of an upscale model from its file name (4x_NMKD-Siax_200k.pth,
+   * RealESRGAN_x2plus.pth); ComfyUI does not report it
+   * @param {string} name - Model file name
+   * @returns {number} Scale factor
+   */
+  getModelScale(name) {
+    const match = /(?:^|[^a-z0-9])(\d)x|x(\d)(?:[^0-9]|$)/i.exec(String(name).split('/').pop());
+    const scale = match ? parseInt(match[1] || match[2]) : NaN;
+    return scale >= 1 ? scale : DEFAULT_MODEL_SCALE;
+  }
+
+  /**
+   * Check whether the catalogue has been read from at least one instance
+   * @returns {boolean} True once any instance reported its models
+   */
+  isLoaded() {
+    return Array.from(this.instances.values()).some(instance => instance.models !== null);
+  }
+
+  /**
+   * Get the hosts of the instances a model is installed on
+   * @param {string} name - Model file name
+   * @returns {Array<string>} Instance hosts
+   */
+  getInstancesWithModel(name) {
+    return Array.from(this.instances.values())
+      .filter(instance => instance.models && instance.models.includes(name))
+      .map(instance => instance.host);
+  }
+
+  /**
+   * Check whether a model is installed on at least one instance
+   * Always false before any instance has reported its catalogue, see isLoaded()
+   * @param {string} name - Model file name
+   * @returns {boolean} True if the model is installed on at least one instance
+   */
+  hasUpscaleModel(name) {
+    return this.getInstancesWithModel(name).length > 0;
+  }
+
+  /**
+   * Get the upscale models installed across all instances
+   * @returns {Array<Object>} [{ name, scale, instances }] sorted by name
+   */
+  getUpscaleModels() {
+    const models = new Map();
+    for (const instance of this.instances.values()) {
+      for (const name of instance.models || []) {
+        if (!models.has(name)) {
+          models.set(name, { name: name, scale: this.getModelScale(name), instances: [] });
+        }
+        models.get(name).instances.push(instance.id);
+      }
+    }
+    return Array.from(models.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the catalogue status of each instance
+   * @returns {Array<Object>} [{ id, host, models, lastRefreshTime, error }]
+   */
+  getInstancesStatus() {
+    return Array.from(this.instances.values()).map(instance => ({
+      id: instance.id,
+      host: instance.host,
+      models: instance.models ? instance.models.length : null,
+      lastRefreshTime: instance.lastRefreshTime,
+      error: instance.error
+    }));
+  }
+}
+
+// Singleton instance
+let modelCatalogInstance = null;
+
+/**
+ * Get or create the model catalog instance
+ * @returns {ModelCatalog} The model catalog instance
+ */
+function getModelCatalog() {
+  if (!modelCatalogInstance) {
+    modelCatalogInstance = new ModelCatalog();
+  }
+  return modelCatalogInstance;
+}
+
+module.exports = {
+  ModelCatalog,
+  getModelCatalog
+};
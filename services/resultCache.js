@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createServiceLogger } = require('../utils/logger');
+
+/**
+ * Disk-backed cache of job results keyed on a content hash of the job input
+ * One file per entry: a JSON header line with the result metadata followed by the
+ * raw bytes of every named output, in header order. An in-memory index (size, creation and last access time) is
+ * rebuilt from the directory on startup and drives TTL expiry and LRU eviction
+ */
+class ResultCache {
+  constructor() {
+    this.logger = createServiceLogger('result-cache');
+
+    // Configuration
+    this.enabled = process.env.RESULT_CACHE_ENABLED !== 'false';
+    this.directory = path.resolve(process.env.RESULT_CACHE_PATH || path.join(__dirname, '..', 'data', 'cache'));
+    this.maxSizeBytes = (parseInt(process.env.RESULT_CACHE_MAX_SIZE_MB) || 500) * 1024 * 1024; // 500MB
+    this.ttl = parseInt(process.env.RESULT_CACHE_TTL) || 86400000; // 24 hours
+
+    this.index = new Map(); // key -> { size, createdTime, lastAccessTime }
+    this.totalSize = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+    if (this.enabled) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.loadIndex();
+    }
+
+    this.logger.info('ResultCache initialized', {
+      enabled: this.enabled,
+      directory: this.directory,
+      maxSizeMB: this.maxSizeBytes / 1024 / 1024,
+      ttl: this.ttl,
+      entries: this.index.size
+    });
+  }
+
+  /**
+   * Build the cache key for a job input
+   * The workflow graph is part of the key, so output format, crop and any
+   * change to the workflow definition produce a different key
+   * @param {string} inputHash - Hex encoded SHA-256 of the input image
+   * @param {string} jobType - Job type
+   * @param {Object} workflow - Workflow graph the job will run
+   * @returns {string} Hex encoded SHA-256 key
+   */
+  createKey(inputHash, jobType, workflow) {
+    return crypto.createHash('sha256')
+      .update(inputHash)
+      .update(`\n${jobType}\n`)
+      .update(JSON.stringify(workflow))
+      .digest('hex');
+  }
+
+  /**
+   * Get the file path of a cache entry
+   * @param {string} key - Cache key
+   * @returns {string} Absolute file path
+   */
+  getEntryPath(key) {
+    return path.join(this.directory, `${key}.entry`);
+  }
+
+  /**
+   * Rebuild the in-memory index from the cache directory (synchronous, startup only)
+   */
+  loadIndex() {
+    const now = Date.now();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      // Entries from before results were stored as raw bytes are dropped
+      if (file.endsWith('.json')) {
+        fs.unlinkSync(path.join(this.directory, file));
+        continue;
+      }
+      if (!file.endsWith('.entry')) {
+        continue;
+      }
+
+      const key = file.slice(0, -'.entry'.length);
+      const stats = fs.statSync(path.join(this.directory, file));
+
+      if (now - stats.mtimeMs > this.ttl) {
+        fs.unlinkSync(path.join(this.directory, file));
+        continue;
+      }
+
+      this.index.set(key, { size: stats.size, createdTime: stats.mtimeMs, lastAccessTime: stats.mtimeMs });
+      this.totalSize += stats.size;
+    }
+  }
+
+  /**
+   * Check whether a live entry exists for a key
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the entry exists and has not expired
+   */
+  has(key) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const entry = this.index.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    if (Date.now() - entry.createdTime > this.ttl) {
+      this.removeEntry(key);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Read a cached result
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { result, buffers } with the result metadata
+   *   ({ promptId, outputs: { name: { filename, mimeType, size } } }) and an
+   *   output name to image Buffer map, or null on a miss
+   */
+  async get(key) {
+    if (!this.has(key)) {
+      this.stats.misses++;
+      return null;
+    }
+
+    try {
+      const data = await fs.promises.readFile(this.getEntryPath(key));
+      const headerEnd = data.indexOf('\n');
+      const entry = JSON.parse(data.subarray(0, headerEnd).toString('utf8'));
+
+      const buffers = {};
+      let offset = headerEnd + 1;
+      for (const [name, output] of Object.entries(entry.result.outputs)) {
+        buffers[name] = data.subarray(offset, offset + output.size);
+        offset += output.size;
+      }
+
+      this.index.get(key).lastAccessTime = Date.now();
+      this.stats.hits++;
+      return { result: entry.result, buffers: buffers };
+    } catch (error) {
+      this.logger.warn('Dropping unreadable cache entry', { key, error: error.message });
+      this.removeEntry(key);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a job result
+   * @param {string} key - Cache key
+   * @param {string} jobType - Job type (kept for inspection)
+   * @param {Object} result - Job result { promptId, outputs }
+   * @param {Object} buffers - Output name to image Buffer
+   * @returns {Promise<void>}
+   */
+  async set(key, jobType, result, buffers) {
+    if (!this.enabled || !result || !result.outputs) {
+      return;
+    }
+
+    const outputs = {};
+    for (const [name, output] of Object.entries(result.outputs)) {
+      outputs[name] = { filename: output.filename, mimeType: output.mimeType, size: buffers[name].length };
+    }
+
+    const header = JSON.stringify({
+      type: jobType,
+      createdTime: Date.now(),
+      result: { promptId: result.promptId, outputs: outputs }
+    });
+    const payload = Buffer.concat([Buffer.from(`${header}\n`), ...Object.keys(outputs).map(name => buffers[name])]);
+    const size = payload.length;
+
+    if (size > this.maxSizeBytes) {
+      return; // Would evict the whole cache
+    }
+
+    const filePath = this.getEntryPath(key);
+    const tempFile = `${filePath}.tmp`;
+
+    try {
+      await fs.promises.writeFile(tempFile, payload);
+      await fs.promises.rename(tempFile, filePath);
+    } catch (error) {
+      this.logger.error('Failed to write cache entry', { key, error: error.message });
+      return;
+    }
+
+    if (this.index.has(key)) {
+      this.totalSize -= this.index.get(key).size;
+    }
+
+    const now = Date.now();
+    this.index.set(key, { size, createdTime: now, lastAccessTime: now });
+    this.totalSize += size;
+    this.stats.writes++;
+
+    this.evict();
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits its size limit
+   */
+  evict() {
+    if (this.totalSize <= this.maxSizeBytes) {
+      return;
+    }
+
+    const entries = Array.from(this.index.entries())
+      .sort((a, b) => a[1].lastAccessTime - b[1].lastAccessTime);
+
+    for (const [key] of entries) {
+      if (this.totalSize <= this.maxSizeBytes) {
+        break;
+      }
+      this.removeEntry(key);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove an entry from the index and disk
+   * @param {string} key - Cache key
+   */
+  removeEntry(key) {
+    const entry = this.index.get(key);
+    if (!entry) {
+      return;
+    }
+
+    this.index.delete(key);
+    this.totalSize -= entry.size;
+
+    fs.promises.unlink(this.getEntryPath(key)).catch(error => {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Failed to delete cache entry', { key, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.index.size,
+      sizeBytes: this.totalSize,
+      maxSizeBytes: this.maxSizeBytes,
+      ttl: this.ttl,
+      ...this.stats
+    };
+  }
+}
+
+// Singleton instance
+let resultCacheInstance = null;
+
+/**
+ * Get or create the result cache instance
+ * @returns {ResultCache} The result cache instance
+ */
+function getResultCache() {
+  if (!resultCacheInstance) {
+    resultCacheInstance = new ResultCache();
+  }
+  return resultCacheInstance;
+}
+
+module.exports = {
+  ResultCache,
+  getResultCache
+};
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Local filesystem storage - one file per key below the configured directory
+ * Keys use "/" as separator, e.g. "<jobId>/input.png"
+ */
+class LocalStorage {
+  constructor(directory) {
+    this.type = 'local';
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Resolve a key to a file path inside the storage directory
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key escapes the storage directory
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store an object (atomic: temp file + rename)
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Object data
+   * @param {string} contentType - MIME type (not persisted locally, kept on the job)
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, buffer, contentType) {
+    const filePath = this.resolvePath(key);
+    const tempFile = `${filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempFile, buffer);
+    await fs.promises.rename(tempFile, filePath);
+
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Store an object from a file on disk without loading it into memory
+   * @param {string} key - Object key
+   * @param {string} sourcePath - File to copy
+   * @param {string} contentType - MIME type (not persisted locally, kept on the job)
+   * @returns {Promise<Object>} { key, size }
+   */
+  async putFile(key, sourcePath, contentType) {
+    const filePath = this.resolvePath(key);
+    const tempFile = `${filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, tempFile);
+    await fs.promises.rename(tempFile, filePath);
+
+    const stats = await fs.promises.stat(filePath);
+    return { key, size: stats.size };
+  }
+
+  /**
+   * Read a whole object
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} Object data
+   */
+  async get(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Open a stream over an object, optionally limited to a byte range
+   * @param {string} key - Object key
+   * @param {Object} range - Optional { start, end } (inclusive byte offsets)
+   * @returns {Promise<Readable>} Object data stream
+   */
+  async createReadStream(key, range = {}) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, range);
+  }
+
+  /**
+   * Get object metadata
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} { size, lastModified } or null if missing
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Copy an object to another key
+   * @param {string} sourceKey - Existing object key
+   * @param {string} targetKey - New object key
+   * @returns {Promise<void>}
+   */
+  async copy(sourceKey, targetKey) {
+    const targetPath = this.resolvePath(targetKey);
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.promises.copyFile(this.resolvePath(sourceKey), targetPath);
+  }
+
+  /**
+   * Delete an object; the per-job directory is removed once it is empty
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const parentDirectory = path.dirname(filePath);
+    if (parentDirectory !== this.directory) {
+      await fs.promises.rmdir(parentDirectory).catch(() => {}); // Not empty yet
+    }
+  }
+
+  /**
+   * Get storage status information
+   * @returns {Object} Storage status
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      directory: this.directory
+    };
+  }
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...)
+ */
+class S3Storage {
+  constructor(options) {
+    this.type = 's3';
+    this.bucket = options.bucket;
+    this.prefix = options.prefix;
+    this.endpoint = options.endpoint;
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.credentials
+    });
+  }
+
+  /**
+   * Get the full object key including the configured prefix
+   * @param {string} key - Object key
+   * @returns {string} Prefixed key
+   */
+  getObjectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Object data
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      Body: buffer,
+      ContentType: contentType
+    }));
+
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Store an object from a file on disk, streaming the upload
+   * @param {string} key - Object key
+   * @param {string} sourcePath - File to upload
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} { key, size }
+   */
+  async putFile(key, sourcePath, contentType) {
+    const stats = await fs.promises.stat(sourcePath);
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: stats.size,
+      ContentType: contentType
+    }));
+
+    return { key, size: stats.size };
+  }
+
+  /**
+   * Read a whole object
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} Object data
+   */
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key)
+    }));
+
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Open a stream over an object, optionally limited to a byte range
+   * @param {string} key - Object key
+   * @param {Object} range - Optional { start, end } (inclusive byte offsets)
+   * @returns {Promise<Readable>} Object data stream
+   */
+  async createReadStream(key, range = {}) {
+    const hasRange = range.start !== undefined || range.end !== undefined;
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      Range: hasRange ? `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}` : undefined
+    }));
+
+    return response.Body instanceof Readable ? response.Body : Readable.fromWeb(response.Body);
+  }
+
+  /**
+   * Get object metadata
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} { size, lastModified } or null if missing
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.getObjectKey(key)
+      }));
+      return { size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Copy an object to another key (server-side)
+   * @param {string} sourceKey - Existing object key
+   * @param {string} targetKey - New object key
+   * @returns {Promise<void>}
+   */
+  async copy(sourceKey, targetKey) {
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(targetKey),
+      CopySource: `${this.bucket}/${encodeURIComponent(this.getObjectKey(sourceKey)).replace(/%2F/g, '/')}`
+    }));
+  }
+
+  /**
+   * Delete an object
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key)
+    }));
+  }
+
+  /**
+   * Get storage status information
+   * @returns {Object} Storage status
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      bucket: this.bucket,
+      prefix: this.prefix,
+      endpoint: this.endpoint || 'aws'
+    };
+  }
+}
+
+/**
+ * Create the storage backend configured via STORAGE_BACKEND (local or s3)
+ * @returns {LocalStorage|S3Storage} Storage instance
+ */
+function createStorage() {
+  const backend = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+
+  if (backend === 'local') {
+    const directory = process.env.STORAGE_PATH || path.join(__dirname, '..', 'data', 'outputs');
+    return new LocalStorage(path.resolve(directory));
+  }
+
+  if (backend !== 's3') {
+    throw new Error(`Invalid STORAGE_BACKEND: ${backend}. Must be "local" or "s3".`);
+  }
+
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is required when STORAGE_BACKEND=s3');
+  }
+
+  return new S3Storage({
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Falls back to the SDK's default credential chain (env, profile, instance role)
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+}
+
+// Singleton instance
+let storageInstance = null;
+
+/**
+ * Get or create the storage instance
+ * @returns {LocalStorage|S3Storage} The storage instance
+ */
+function getStorage() {
+  if (!storageInstance) {
+    storageInstance = createStorage();
+  }
+  return storageInstance;
+}
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,288 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { getJobManager } = require('./jobManager');
+const { buildJobStatusResponse, buildResultOutputs } = require('../utils/jobResponses');
+const { createServiceLogger } = require('../utils/logger');
+const { fileBufferToBase64 } = require('../utils/imageUtils');
+const { isPrivateAddress, createPublicLookup } = require('../utils/networkAddress');
+
+// Refuses callback hosts that resolve to private addresses, checked on every delivery
+// so a hostname re-pointed after submission (DNS rebinding) cannot reach internal services
+const lookupPublicAddress = createPublicLookup((hostname, address) => {
+  const error = new Error(`Host ${hostname} resolves to the non-public address ${address}`);
+  error.code = 'ERR_CALLBACK_REFUSED';
+  return error;
+});
+
+/**
+ * Delivers signed webhook callbacks when async jobs finish
+ * Listens to JobManager status transitions, so every job type submitted
+ * with a callback_url gets notified without route-specific code
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.logger = createServiceLogger('webhook-dispatcher');
+    this.retryTimers = new Set();
+
+    // Configuration
+    this.secret = process.env.WEBHOOK_SECRET || null;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 2000; // 2 seconds, doubles per attempt
+    this.requestTimeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000; // 10 seconds
+    this.allowPrivateAddresses = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+    // Statuses that trigger a callback
+    this.notifyStatuses = ['completed', 'failed', 'cancelled'];
+
+    const jobManager = getJobManager();
+    jobManager.on('statusChanged', (job) => this.handleStatusChange(job));
+
+    this.logger.info('WebhookDispatcher initialized', {
+      enabled: this.isEnabled(),
+      maxAttempts: this.maxAttempts,
+      retryDelay: this.retryDelay,
+      requestTimeout: this.requestTimeout
+    });
+
+    // Graceful shutdown handling
+    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown());
+  }
+
+  /**
+   * Webhooks can only be signed when a secret is configured
+   * @returns {boolean} True if callbacks are accepted
+   */
+  isEnabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Handle a job status transition
+   * @param {Object} job - Job snapshot after the transition
+   */
+  handleStatusChange(job) {
+    if (!job.data || !job.data.callbackUrl || !this.notifyStatuses.includes(job.status)) {
+      return;
+    }
+
+    const jobManager = getJobManager();
+    jobManager.updateJob(job.id, { webhookStatus: 'pending' });
+
+    this.deliver(job.id, 1, uuidv4());
+  }
+
+  /**
+   * Build the callback body for a job
+   * @param {Object} job - Job object
+   * @returns {Promise<Object>} Webhook payload
+   */
+  async buildPayload(job) {
+    const payload = {
+      event: `job.${job.status}`,
+      sent_at: new Date().toISOString(),
+      job: buildJobStatusResponse(job)
+    };
+
+    // Only include the (potentially large) image when the client asked for it
+    if (job.data.callbackIncludeResult && job.status === 'completed' && job.result) {
+      try {
+        const resultBuffer = await getJobManager().readJobResult(job);
+        payload.result = {
+          image_base64: fileBufferToBase64(resultBuffer, job.result.mimeType || 'image/png'),
+          prompt_id: job.result.promptId,
+          outputs: buildResultOutputs(job)
+        };
+      } catch (error) {
+        this.logger.warn('Result not available for webhook payload', { jobId: job.id, error: error.message });
+      }
+    }
+
+    return payload;
+  }
+
+  /**
+   * Sign a webhook body
+   * The signature covers "<timestamp>.<body>" so receivers can reject replayed requests
+   * @param {string} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex encoded HMAC-SHA256 signature
+   */
+  sign(timestamp, body) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Deliver a callback, retrying with exponential backoff on failure
+   * The callback URL is checked again before every attempt and its host when it is
+   * resolved; a refused address fails the delivery without retrying
+   * @param {string} jobId - Job ID
+   * @param {number} attempt - Attempt number (1-based)
+   * @param {string} deliveryId - ID shared by all attempts of this delivery
+   */
+  async deliver(jobId, attempt, deliveryId) {
+    const jobManager = getJobManager();
+    const job = jobManager.getJob(jobId);
+
+    if (!job) {
+      this.logger.warn('Job removed before webhook could be delivered', { jobId, attempt });
+      return;
+    }
+
+    const body = JSON.stringify(await this.buildPayload(job));
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+
+    const logEntry = {
+      delivery_id: deliveryId,
+      event: `job.${job.status}`,
+      attempt: attempt,
+      timestamp: new Date(startTime).toISOString()
+    };
+
+    let retryable = true;
+
+    try {
+      const validationError = validateCallbackUrl(job.data.callbackUrl, this.allowPrivateAddresses);
+      if (validationError) {
+        const error = new Error(validationError);
+        error.code = 'ERR_CALLBACK_REFUSED';
+        throw error;
+      }
+
+      const response = await axios.post(job.data.callbackUrl, body, {
+        timeout: this.requestTimeout,
+        maxRedirects: 0,
+        lookup: this.allowPrivateAddresses ? undefined : lookupPublicAddress,
+        proxy: false,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ComfyUI-Express-Middleware-Webhook/1.0',
+          'X-Webhook-Id': deliveryId,
+          'X-Webhook-Event': logEntry.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(timestamp, body)}`
+        }
+      });
+
+      logEntry.status_code = response.status;
+      logEntry.success = true;
+    } catch (error) {
+      const statusCode = error.response ? error.response.status : null;
+      logEntry.status_code = statusCode;
+      logEntry.success = false;
+      logEntry.error = error.message;
+
+      // Client errors other than timeouts and rate limiting will not go away by retrying
+      if (statusCode && statusCode < 500 && statusCode !== 408 && statusCode !== 429) {
+        retryable = false;
+      }
+
+      // Neither will a refused callback URL (a lookup refusal arrives wrapped by axios)
+      for (let cause = error; cause; cause = cause.cause) {
+        if (cause.code === 'ERR_CALLBACK_REFUSED') {
+          retryable = false;
+        }
+      }
+    }
+
+    logEntry.duration_ms = Date.now() - startTime;
+
+    const deliveries = [...(job.webhookDeliveries || []), logEntry];
+
+    if (logEntry.success) {
+      jobManager.updateJob(jobId, { webhookDeliveries: deliveries, webhookStatus: 'delivered' });
+      this.logger.info('Webhook delivered', { jobId, attempt, statusCode: logEntry.status_code });
+      return;
+    }
+
+    if (!retryable || attempt >= this.maxAttempts) {
+      jobManager.updateJob(jobId, { webhookDeliveries: deliveries, webhookStatus: 'failed' });
+      this.logger.error('Webhook delivery failed permanently', {
+        jobId,
+        attempt,
+        statusCode: logEntry.status_code,
+        error: logEntry.error
+      });
+      return;
+    }
+
+    const delay = this.retryDelay * Math.pow(2, attempt - 1);
+    jobManager.updateJob(jobId, { webhookDeliveries: deliveries, webhookStatus: 'retrying' });
+    this.logger.warn('Webhook delivery failed, scheduling retry', {
+      jobId,
+      attempt,
+      retryDelay: delay,
+      statusCode: logEntry.status_code,
+      error: logEntry.error
+    });
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.deliver(jobId, attempt + 1, deliveryId);
+    }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Graceful shutdown - cancel pending retries
+   */
+  shutdown() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+  }
+}
+
+/**
+ * Validate a client-supplied callback URL
+ * Literal IP addresses are checked here, hostnames when they are resolved on delivery
+ * @param {string} callbackUrl - URL to validate
+ * @param {boolean} [allowPrivateAddresses] - Accept loopback, private and other non-public addresses
+ * @returns {string|null} Error message or null if valid
+ */
+function validateCallbackUrl(callbackUrl, allowPrivateAddresses = false) {
+  let parsed;
+  try {
+    parsed = new URL(callbackUrl);
+  } catch (error) {
+    return 'callback_url must be a valid absolute URL';
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'callback_url must use http or https';
+  }
+
+  const ip = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(ip) && !allowPrivateAddresses && isPrivateAddress(ip)) {
+    return `callback_url must not point to the non-public address ${ip}`;
+  }
+
+  return null;
+}
+
+// Singleton instance
+let webhookDispatcherInstance = null;
+
+/**
+ * Get or create the webhook dispatcher instance
+ * @returns {WebhookDispatcher} The webhook dispatcher instance
+ */
+function getWebhookDispatcher() {
+  if (!webhookDispatcherInstance) {
+    webhookDispatcherInstance = new WebhookDispatcher();
+  }
+  return webhookDispatcherInstance;
+}
+
+module.exports = {
+  WebhookDispatcher,
+  validateCallbackUrl,
+  getWebhookDispatcher
+};
@@ -0,0 +1,552 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { createServiceLogger } = require('../utils/logger');
+const { getModelCatalog } = require('./modelCatalog');
+
+const MANIFEST_SUFFIX = '.manifest.json';
+const PARAMETER_TYPES = ['enum', 'boolean', 'number', 'integer', 'string', 'upscale_model'];
+
+/**
+ * Registry of the workflows a job can run, loaded from a directory of
+ * ComfyUI API-format graphs and their manifests (<name>.manifest.json):
+ * {
+ *   "name": "remove-background-crop",         // Unique workflow name (default: file name)
+ *   "jobType": "remove-background",            // Job type served (default: name)
+ *   "description": "...",
+ *   "workflow": "remove-background-crop.json", // Graph file, relative to the directory
+ *   "match": { "crop": true },                 // Parameter values selecting this graph among the job type's workflows
+ *   "inputs": { "image": "InputImageBase64" }, // _meta.name of the node(s) loading the input image
+ *   "outputs": { "cutout": "OutputCutout", "mask": "OutputMask" }, // Output name -> _meta.name of its save node, the first is the default
+ *   "parameters": {                            // Parameter -> definition, targets are "<node ID>.<input>"
+ *     "format": { "type": "enum", "values": ["PNG", "JPEG", "WEBP"], "default": "PNG", "targets": ["7.format"] },
+ *     "model": { "type": "upscale_model", "default": "4x_NMKD-Siax_200k.pth", "targets": ["3.model_name"] },
+ *     "scale": { "type": "number", "min": 1, "max": 4, "default": 2, "divideBy": "model", "targets": ["13.scale_by"] }
+ *   }
+ * }
+ * Number parameters with divideBy are written as value / divideBy, e.g. a net upscale
+ * factor turned into the scale_by applied after a 4x model. divideBy may also name an
+ * upscale_model parameter, the divisor is then the native scale of the selected model.
+ * upscale_model parameters take a model file name that must be installed on an instance
+ * (see the model catalog); the default is not checked.
+ * The directory is watched and reloaded on change. A manifest that fails to load
+ * is reported and its previous version, if any, stays in service.
+ */
+class WorkflowRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.logger = createServiceLogger('workflow-registry');
+
+    // Configuration
+    this.directory = path.resolve(process.env.WORKFLOWS_PATH || path.join(__dirname, '..', 'workflows'));
+    this.hotReload = process.env.WORKFLOW_HOT_RELOAD !== 'false';
+    this.reloadDelay = 200; // Debounce editors writing several events per save
+
+    this.workflows = new Map(); // name -> workflow entry
+    this.errors = []; // [{ file, error }] of the last load
+    this.lastLoadTime = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    this.load();
+
+    if (this.hotReload) {
+      this.watch();
+    }
+
+    this.logger.info('WorkflowRegistry initialized', {
+      directory: this.directory,
+      hotReload: this.hotReload,
+      workflows: Array.from(this.workflows.keys()),
+      errors: this.errors.length
+    });
+  }
+
+  /**
+   * (Re)load every manifest in the directory (synchronous, small files)
+   * The new set replaces the current one at once
+   */
+  load() {
+    const workflows = new Map();
+    const errors = [];
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith(MANIFEST_SUFFIX)).sort();
+    } catch (error) {
+      errors.push({ file: this.directory, error: error.message });
+    }
+
+    for (const file of files) {
+      try {
+        const entry = this.loadManifest(file);
+        if (workflows.has(entry.name)) {
+          throw new Error(`Duplicate workflow name "${entry.name}" (also in ${workflows.get(entry.name).manifestFile})`);
+        }
+        workflows.set(entry.name, entry);
+      } catch (error) {
+        errors.push({ file, error: error.message });
+
+        // Keep serving the last good version of a broken manifest
+        const previous = Array.from(this.workflows.values()).find(entry => entry.manifestFile === file);
+        if (previous && !workflows.has(previous.name)) {
+          workflows.set(previous.name, previous);
+        }
+      }
+    }
+
+    for (const { file, error } of errors) {
+      console.error(`❌ Failed to load workflow ${file}: ${error}`);
+    }
+
+    this.workflows = workflows;
+    this.errors = errors;
+    this.lastLoadTime = Date.now();
+    this.emit('reloaded', this.list());
+  }
+
+  /**
+   * Load and validate one manifest and its graph
+   * @param {string} file - Manifest file name
+   * @returns {Object} Workflow entry
+   * @throws {Error} If the manifest or graph is invalid
+   */
+  loadManifest(file) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+    const name = manifest.name || file.slice(0, -MANIFEST_SUFFIX.length);
+    const workflowFile = manifest.workflow || `${name}.json`;
+    const graph = JSON.parse(fs.readFileSync(path.join(this.directory, workflowFile), 'utf8'));
+
+    if (!graph || typeof graph !== 'object' || Object.keys(graph).length === 0) {
+      throw new Error(`${workflowFile} is not a ComfyUI API-format workflow`);
+    }
+
+    // Inputs are loader nodes found by their _meta.name; jobs carry a single input image
+    const inputs = manifest.inputs || { image: 'InputImageBase64' };
+    if (!inputs.image || Object.keys(inputs).length > 1) {
+      throw new Error('inputs must declare exactly one input, "image"');
+    }
+    const inputNodes = {};
+    for (const [inputName, nodeName] of Object.entries(inputs)) {
+      inputNodes[inputName] = this.findNamedNodes(graph, nodeName);
+      if (inputNodes[inputName].length === 0) {
+        throw new Error(`Input "${inputName}": no node with _meta.name "${nodeName}"`);
+      }
+    }
+
+    // Outputs are save nodes found the same way, so editing a graph cannot silently
+    // move an output to another node
+    const outputs = manifest.outputs || {};
+    if (Object.keys(outputs).length === 0) {
+      throw new Error('At least one output is required');
+    }
+    const outputNodes = {};
+    for (const [outputName, nodeName] of Object.entries(outputs)) {
+      const nodeIds = this.findNamedNodes(graph, nodeName);
+      if (nodeIds.length !== 1) {
+        throw new Error(`Output "${outputName}": ${nodeIds.length === 0 ? 'no node' : `${nodeIds.length} nodes`} with _meta.name "${nodeName}"`);
+      }
+      outputNodes[outputName] = nodeIds[0];
+    }
+
+    const parameters = manifest.parameters || {};
+    for (const [parameterName, definition] of Object.entries(parameters)) {
+      this.checkParameterDefinition(parameterName, definition, graph);
+    }
+    for (const [parameterName, definition] of Object.entries(parameters)) {
+      const divisor = parameters[definition.divideBy];
+      if (typeof definition.divideBy === 'string' && (!divisor || divisor.type !== 'upscale_model')) {
+        throw new Error(`Parameter "${parameterName}": divideBy "${definition.divideBy}" is not an upscale_model parameter`);
+      }
+    }
+    for (const parameterName of Object.keys(manifest.match || {})) {
+      if (!parameters[parameterName]) {
+        throw new Error(`match uses the undeclared parameter "${parameterName}"`);
+      }
+    }
+
+    return {
+      name: name,
+      jobType: manifest.jobType || name,
+      description: manifest.description || '',
+      manifestFile: file,
+      workflowFile: workflowFile,
+      match: manifest.match || {},
+      inputs: inputs,
+      inputNodes: inputNodes,
+      outputs: outputs,
+      outputNodes: outputNodes,
+      parameters: parameters,
+      graph: graph,
+      loadedTime: Date.now()
+    };
+  }
+
+  /**
+   * Find the nodes of a graph tagged with a _meta.name
+   * @param {Object} graph - Workflow graph
+   * @param {string} nodeName - _meta.name to look for
+   * @returns {Array<string>} Node IDs
+   */
+  findNamedNodes(graph, nodeName) {
+    return Object.keys(graph).filter(nodeId => graph[nodeId]._meta && graph[nodeId]._meta.name === nodeName);
+  }
+
+  /**
+   * Validate a parameter definition against the graph
+   * @param {string} name - Parameter name
+   * @param {Object} definition - { type, values, min, max, default, required, divideBy, targets }
+   * @param {Object} graph - Workflow graph
+   * @throws {Error} If the definition is invalid
+   */
+  checkParameterDefinition(name, definition, graph) {
+    if (!PARAMETER_TYPES.includes(definition.type)) {
+      throw new Error(`Parameter "${name}": type must be one of ${PARAMETER_TYPES.join(', ')}`);
+    }
+    if (definition.type === 'enum' && (!Array.isArray(definition.values) || definition.values.length === 0)) {
+      throw new Error(`Parameter "${name}": enum parameters need a values list`);
+    }
+    if (definition.divideBy !== undefined && (!['number', 'integer'].includes(definition.type) ||
+      !(definition.divideBy > 0 || typeof definition.divideBy === 'string'))) {
+      throw new Error(`Parameter "${name}": divideBy must be a positive number or a model parameter, on a number parameter`);
+    }
+
+    for (const target of definition.targets || []) {
+      const [nodeId, input] = target.split('.');
+      if (!graph[nodeId] || !input || !graph[nodeId].inputs || !(input in graph[nodeId].inputs)) {
+        throw new Error(`Parameter "${name}": target ${target} does not exist`);
+      }
+    }
+
+    if (definition.default !== undefined && this.coerceParameter(definition, definition.default).error) {
+      throw new Error(`Parameter "${name}": invalid default ${JSON.stringify(definition.default)}`);
+    }
+  }
+
+  /**
+   * Coerce a submitted value to a parameter's type (form fields arrive as strings)
+   * @param {Object} definition - Parameter definition
+   * @param {*} value - Submitted value
+   * @returns {Object} { value } or { error }
+   */
+  coerceParameter(definition, value) {
+    switch (definition.type) {
+      case 'enum': {
+        const match = definition.values.find(allowed => String(allowed).toUpperCase() === String(value).toUpperCase());
+        return match !== undefined ? { value: match } : { error: `must be one of: ${definition.values.join(', ')}` };
+      }
+      case 'boolean':
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+        const outOfRange = (definition.min !== undefined && number < definition.min) || (definition.max !== undefined && number > definition.max);
+        if (isNaN(number) || outOfRange || (definition.type === 'integer' && !Number.isInteger(number))) {
+          return { error: `must be ${definition.type === 'integer' ? 'an integer' : 'a number'}${definition.min !== undefined ? ` >= ${definition.min}` : ''}${definition.max !== undefined ? ` <= ${definition.max}` : ''}` };
+        }
+        return { value: number };
+      }
+      default:
+        return typeof value === 'string' ? { value } : { error: 'must be a string' };
+    }
+  }
+
+  /**
+   * Validate a submitted parameter value: coerce it, and check that a selected
+   * upscale model is installed
+   * A model cannot be verified until an instance has reported its catalogue; it is
+   * refused with status 503 until then
+   * @param {Object} definition - Parameter definition
+   * @param {*} value - Submitted value
+   * @returns {Object} { value } or { error, status }
+   */
+  validateParameter(definition, value) {
+    const coerced = this.coerceParameter(definition, value);
+    if (coerced.error || definition.type !== 'upscale_model') {
+      return coerced;
+    }
+
+    const catalog = getModelCatalog();
+    if (!catalog.isLoaded()) {
+      return { error: 'cannot be verified, no instance has reported its upscale models yet', status: 503 };
+    }
+    if (!catalog.hasUpscaleModel(coerced.value)) {
+      return { error: `${coerced.value} is not installed on any instance, see GET /api/models/upscale` };
+    }
+    return coerced;
+  }
+
+  /**
+   * Resolve the submitted parameters of a workflow: coerce, validate and apply defaults
+   * Only declared parameters are read from `values`; other keys are ignored
+   * @param {Object} entry - Workflow entry
+   * @param {Object} values - Submitted values (e.g. job data)
+   * @returns {Object} { parameters } or { error, details, status }
+   */
+  resolveParameters(entry, values) {
+    const parameters = {};
+
+    for (const [name, definition] of Object.entries(entry.parameters)) {
+      const value = values[name];
+      if (value === undefined || value === null || value === '') {
+        if (definition.default !== undefined) {
+          parameters[name] = this.coerceParameter(definition, definition.default).value;
+        } else if (definition.required) {
+          return { error: 'Missing parameter', details: `${name} is required` };
+        }
+        continue;
+      }
+
+      const validated = this.validateParameter(definition, value);
+      if (validated.status === 503) {
+        return { error: 'Model catalogue unavailable', details: `${name} ${validated.error}`, status: 503 };
+      }
+      if (validated.error) {
+        return { error: `Invalid ${name}`, details: `${name} ${validated.error}` };
+      }
+      parameters[name] = validated.value;
+    }
+
+    return { parameters };
+  }
+
+  /**
+   * Select the workflow of a job type for the submitted parameters
+   * @param {string} jobType - Job type
+   * @param {Object} values - Submitted values
+   * @returns {Object} { entry, parameters } or { error, details, status }
+   */
+  resolve(jobType, values = {}) {
+    const candidates = this.getByJobType(jobType);
+    if (candidates.length === 0) {
+      return { error: 'Unknown job type', details: `No workflow is registered for ${jobType}` };
+    }
+
+    let firstError = null;
+    for (const entry of candidates) {
+      const resolved = this.resolveParameters(entry, values);
+      if (resolved.error) {
+        firstError = firstError || resolved;
+        continue;
+      }
+      const matches = Object.entries(entry.match).every(([name, expected]) => resolved.parameters[name] === expected);
+      if (matches) {
+        return { entry, parameters: resolved.parameters };
+      }
+    }
+
+    return firstError || { error: 'No matching workflow', details: `No ${jobType} workflow matches the submitted parameters` };
+  }
+
+  /**
+   * Resolve the parameters of a workflow run by name
+   * Unlike resolve(), every submitted key must be a declared parameter, and the
+   * workflow's match values apply unless they are contradicted
+   * @param {string} name - Workflow name
+   * @param {Object} values - Submitted parameters
+   * @returns {Object} { entry, parameters } or { error, details, status }
+   */
+  resolveByName(name, values = {}) {
+    const entry = this.get(name);
+    if (!entry) {
+      return { error: 'Unknown workflow', details: `No workflow is registered as ${name}` };
+    }
+
+    const unknown = Object.keys(values).filter(key => !entry.parameters[key]);
+    if (unknown.length > 0) {
+      return {
+        error: 'Unknown parameter',
+        details: `${name} does not accept ${unknown.join(', ')}; parameters are: ${Object.keys(entry.parameters).join(', ') || 'none'}`
+      };
+    }
+
+    const resolved = this.resolveParameters(entry, { ...entry.match, ...values });
+    if (resolved.error) {
+      return resolved;
+    }
+
+    for (const [parameterName, expected] of Object.entries(entry.match)) {
+      if (resolved.parameters[parameterName] !== expected) {
+        return { error: `Invalid ${parameterName}`, details: `${name} runs with ${parameterName}=${expected}` };
+      }
+    }
+
+    return { entry, parameters: resolved.parameters };
+  }
+
+  /**
+   * Build the graph to submit for a job
+   * The workflow is selected among those of the job type by the submitted values
+   * @param {string} jobType - Job type
+   * @param {Object} values - Submitted values (e.g. job data)
+   * @param {Array<string>} requestedOutputs - Output names, defaults to the first output
+   * @returns {Object} { name, workflow, inputNodes, outputNodes, parameters }
+   * @throws {Error} If no workflow matches or a parameter is invalid
+   */
+  buildWorkflow(jobType, values = {}, requestedOutputs = null) {
+    const { entry, parameters, error, details } = this.resolve(jobType, values);
+    if (error) {
+      throw new Error(`${error}: ${details}`);
+    }
+
+    return this.buildFromEntry(entry, parameters, requestedOutputs);
+  }
+
+  /**
+   * Build the graph to submit for a run of a workflow by name
+   * @param {string} name - Workflow name
+   * @param {Object} values - Submitted parameters
+   * @param {Array<string>} requestedOutputs - Output names, defaults to the first output
+   * @returns {Object} { name, workflow, inputNodes, outputNodes, parameters }
+   * @throws {Error} If the workflow is unknown or a parameter is invalid
+   */
+  buildNamedWorkflow(name, values = {}, requestedOutputs = null) {
+    const { entry, parameters, error, details } = this.resolveByName(name, values);
+    if (error) {
+      throw new Error(`${error}: ${details}`);
+    }
+
+    return this.buildFromEntry(entry, parameters, requestedOutputs);
+  }
+
+  /**
+   * Build a graph from a workflow entry and resolved parameters
+   * Parameters are written to their target node inputs; the save nodes of outputs
+   * that were not requested are removed so ComfyUI skips them
+   * @param {Object} entry - Workflow entry
+   * @param {Object} parameters - Resolved parameters
+   * @param {Array<string>} requestedOutputs - Output names, defaults to the first output
+   * @returns {Object} { name, workflow, inputNodes, outputNodes, parameters }
+   */
+  buildFromEntry(entry, parameters, requestedOutputs = null) {
+    const workflow = JSON.parse(JSON.stringify(entry.graph));
+
+    for (const [name, value] of Object.entries(parameters)) {
+      const definition = entry.parameters[name];
+      for (const target of definition.targets || []) {
+        const [nodeId, input] = target.split('.');
+        workflow[nodeId].inputs[input] = definition.divideBy ? value / this.getDivisor(definition, parameters) : value;
+      }
+    }
+
+    const requested = requestedOutputs || [Object.keys(entry.outputNodes)[0]];
+    const outputNodes = {};
+    for (const [name, nodeId] of Object.entries(entry.outputNodes)) {
+      if (requested.includes(name)) {
+        outputNodes[name] = nodeId;
+      } else {
+        delete workflow[nodeId];
+      }
+    }
+
+    return { name: entry.name, workflow, inputNodes: entry.inputNodes, outputNodes, parameters };
+  }
+
+  /**
+   * Get the divisor of a parameter with divideBy
+   * @param {Object} definition - Parameter definition
+   * @param {Object} parameters - Resolved parameters
+   * @returns {number} A fixed divisor, or the native scale of the model parameter it names
+   */
+  getDivisor(definition, parameters) {
+    if (typeof definition.divideBy === 'string') {
+      return getModelCatalog().getModelScale(parameters[definition.divideBy]);
+    }
+    return definition.divideBy;
+  }
+
+  /**
+   * Get a workflow by name
+   * @param {string} name - Workflow name
+   * @returns {Object|null} Workflow entry
+   */
+  get(name) {
+    return this.workflows.get(name) || null;
+  }
+
+  /**
+   * Get the workflows serving a job type, in manifest order
+   * @param {string} jobType - Job type
+   * @returns {Array<Object>} Workflow entries
+   */
+  getByJobType(jobType) {
+    return Array.from(this.workflows.values()).filter(entry => entry.jobType === jobType);
+  }
+
+  /**
+   * Get every registered job type
+   * @returns {Array<string>} Job types
+   */
+  getJobTypes() {
+    return Array.from(new Set(Array.from(this.workflows.values()).map(entry => entry.jobType)));
+  }
+
+  /**
+   * Get the output names of a job type across its workflows, default output first
+   * @param {string} jobType - Job type
+   * @returns {Array<string>} Output names
+   */
+  getOutputNames(jobType) {
+    return Array.from(new Set(this.getByJobType(jobType).flatMap(entry => Object.keys(entry.outputs))));
+  }
+
+  /**
+   * List all workflows
+   * @returns {Array<Object>} Workflow entries
+   */
+  list() {
+    return Array.from(this.workflows.values());
+  }
+
+  /**
+   * Watch the directory and reload on change
+   */
+  watch() {
+    try {
+      this.watcher = fs.watch(this.directory, { persistent: false }, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          this.load();
+          console.log(`🔄 Reloaded workflows from ${this.directory}: ${this.workflows.size} loaded, ${this.errors.length} failed`);
+        }, this.reloadDelay);
+      });
+    } catch (error) {
+      this.logger.warn('Workflow hot reload unavailable', { directory: this.directory, error: error.message });
+    }
+  }
+
+  /**
+   * Get registry status information
+   * @returns {Object} Registry status
+   */
+  getStatus() {
+    return {
+      directory: this.directory,
+      hotReload: this.hotReload && this.watcher !== null,
+      workflows: this.workflows.size,
+      errors: this.errors,
+      lastLoadTime: this.lastLoadTime
+    };
+  }
+}
+
+// Singleton instance
+let workflowRegistryInstance = null;
+
+/**
+ * Get or create the workflow registry instance
+ * @returns {WorkflowRegistry} The workflow registry instance
+ */
+function getWorkflowRegistry() {
+  if (!workflowRegistryInstance) {
+    workflowRegistryInstance = new WorkflowRegistry();
+  }
+  return workflowRegistryInstance;
+}
+
+module.exports = {
+  WorkflowRegistry,
+  getWorkflowRegistry
+};
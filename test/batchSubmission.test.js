@@ -0,0 +1,120 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-submission-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.WORKFLOW_HOT_RELOAD = 'false';
+process.env.STORAGE_PATH = path.join(dataDirectory, 'storage');
+process.env.RESULT_CACHE_PATH = path.join(dataDirectory, 'cache');
+// Unreachable instance: the model catalogue is read while building workflows
+process.env.COMFYUI_HOST_1 = '127.0.0.1:1';
+
+const { handleBatchSubmission, getBatchStatus } = require('../routes/batchHandler');
+const { getJobManager } = require('../services/jobManager');
+const { getJobProcessor } = require('../services/jobProcessor');
+const { getStorage } = require('../services/storage');
+const { getModelCatalog } = require('../services/modelCatalog');
+const { getLoadBalancer } = require('../services/loadBalancer');
+
+// 1x1 PNG
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+describe('Batch submission', () => {
+  const jobManager = getJobManager();
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // Job manager logs go straight to stdout, where they can interleave with the test report
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.post('/api/async/batch/:type', handleBatchSubmission);
+    app.get('/api/batches/:batch_id', getBatchStatus);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await jobManager.shutdown();
+    clearInterval(getModelCatalog().refreshIntervalId);
+    getLoadBalancer().stopHealthChecks();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  /**
+   * Submit a JSON batch
+   * @param {Array} images - Batch images
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function submitBatch(images) {
+    const response = await fetch(`${baseUrl}/api/async/batch/remove-background`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ images, format: 'webp' })
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('creates one job per image under a shared batch ID', async () => {
+    const { status, body } = await submitBatch([PNG_BASE64, { image_base64: PNG_BASE64, filename: 'second.png' }]);
+
+    assert.equal(status, 202);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.jobs.map(job => [job.index, job.filename]), [[0, 'image-1'], [1, 'second.png']]);
+
+    const jobs = jobManager.getJobsByBatch(body.batch_id);
+    assert.deepEqual(jobs.map(job => job.data.batchIndex).sort(), [0, 1]);
+    assert.ok(jobs.every(job => job.data.format === 'WEBP' && job.data.batchSize === 2));
+
+    const batch = await (await fetch(`${baseUrl}${body.batch_url}`)).json();
+    assert.equal(batch.total, 2);
+  });
+
+  test('creates no job when an image is invalid', async () => {
+    const before = jobManager.getAllJobs().length;
+    const { status, body } = await submitBatch([PNG_BASE64, 'bm90IGFuIGltYWdl']);
+
+    assert.equal(status, 415);
+    assert.match(body.details, /^images\[1\]: /);
+    assert.equal(jobManager.getAllJobs().length, before);
+  });
+
+  test('removes the jobs already created when a later job cannot be created', async () => {
+    const storage = getStorage();
+    const put = storage.put.bind(storage);
+    const storedKeys = [];
+    mock.method(storage, 'put', async (key, ...args) => {
+      if (storedKeys.push(key) === 3) {
+        throw new Error('S3 unavailable');
+      }
+      return put(key, ...args);
+    });
+
+    const before = jobManager.getAllJobs().length;
+    const queued = getJobProcessor().getQueueUsage().pending;
+    const { status, body } = await submitBatch([PNG_BASE64, PNG_BASE64, PNG_BASE64]);
+    storage.put.mock.restore();
+
+    assert.equal(status, 500);
+    assert.equal(body.details, 'images[2]: S3 unavailable; removed the 2 job(s) already created');
+    assert.equal(jobManager.getAllJobs().length, before);
+    assert.equal(getJobProcessor().getQueueUsage().pending, queued);
+
+    // The inputs of the removed jobs are released from storage (in the background)
+    const storedInputs = async () => (await Promise.all(storedKeys.slice(0, 2).map(key => storage.stat(key)))).filter(Boolean);
+    for (let i = 0; i < 50 && (await storedInputs()).length > 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.deepEqual(await storedInputs(), []);
+  });
+});
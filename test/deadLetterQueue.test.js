@@ -0,0 +1,155 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.RESULT_CACHE_PATH = path.join(dataDirectory, 'cache');
+process.env.STORAGE_PATH = path.join(dataDirectory, 'storage');
+process.env.DEAD_LETTER_MAX_ENTRIES = '3';
+// Unreachable instance: replayed upscale jobs read the model catalogue
+process.env.COMFYUI_HOST_1 = '127.0.0.1:1';
+
+const { getDeadLetterQueue } = require('../services/deadLetterQueue');
+const { getJobManager } = require('../services/jobManager');
+const { getJobProcessor } = require('../services/jobProcessor');
+const { getStorage } = require('../services/storage');
+const { getModelCatalog } = require('../services/modelCatalog');
+const { getLoadBalancer } = require('../services/loadBalancer');
+const { getDeadLetter, replayDeadLetter, replayDeadLetters } = require('../routes/deadLetterHandler');
+
+let inputCount = 0;
+
+/**
+ * Create a job and fail it for good
+ * @param {string} type - Job type
+ * @param {Object} data - Job data
+ * @param {string} error - Error message
+ * @returns {string} Job ID
+ */
+function failJob(type, data, error = 'ComfyUI execution failed') {
+  const jobManager = getJobManager();
+  const jobId = jobManager.createJob(type, data);
+  jobManager.updateJobStatus(jobId, 'failed', { error, errorClass: 'execution' });
+  return jobId;
+}
+
+/**
+ * Store an input image, then create a job for it and fail it for good
+ * @param {string} type - Job type
+ * @param {Object} data - Job data
+ * @param {string} image - Input image content
+ * @returns {Promise<string>} Job ID, once its input is retained by the dead-letter queue
+ */
+async function failJobWithInput(type, data, image) {
+  const inputKey = `input-${++inputCount}/input.png`;
+  await getStorage().put(inputKey, Buffer.from(image), 'image/png');
+
+  const jobId = failJob(type, { ...data, inputKey, mimeType: 'image/png' });
+  for (let i = 0; i < 100 && !getDeadLetterQueue().get(jobId); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return jobId;
+}
+
+describe('DeadLetterQueue', () => {
+  const deadLetterQueue = getDeadLetterQueue();
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // Job manager logs go straight to stdout, where they can interleave with the test report
+    mock.method(console, 'log', () => {});
+
+    const app = express();
+    app.post('/api/dead-letter/replay', replayDeadLetters);
+    app.get('/api/dead-letter/:jobId', getDeadLetter);
+    app.post('/api/dead-letter/:jobId/replay', replayDeadLetter);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await deadLetterQueue.shutdown();
+    await getJobManager().shutdown();
+    clearInterval(getModelCatalog().refreshIntervalId);
+    getLoadBalancer().stopHealthChecks();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  test('captures jobs that fail for good with a copy of their input', async () => {
+    const jobId = await failJobWithInput('upscale-image', { priority: 'bulk' }, 'img');
+    const entry = deadLetterQueue.get(jobId);
+
+    assert.equal(entry.type, 'upscale-image');
+    assert.equal(entry.error, 'ComfyUI execution failed');
+    assert.equal(entry.errorClass, 'execution');
+    assert.equal(entry.data.inputKey, `dead-letter/${jobId}/input.png`);
+    assert.equal((await deadLetterQueue.readInput(entry)).toString(), 'img');
+    assert.deepEqual(entry.replays, []);
+  });
+
+  test('filters entries by type and error class', () => {
+    const removeId = failJob('remove-background', {});
+
+    assert.deepEqual(deadLetterQueue.list({ type: 'remove-background' }).map(entry => entry.id), [removeId]);
+    assert.deepEqual(deadLetterQueue.list({ errorClass: 'timeout' }), []);
+  });
+
+  test('hides the input image unless it is requested', async () => {
+    const jobId = await failJobWithInput('upscale-image', {}, 'image');
+
+    const sanitized = await (await fetch(`${baseUrl}/api/dead-letter/${jobId}`)).json();
+    const full = await (await fetch(`${baseUrl}/api/dead-letter/${jobId}?include_image=true`)).json();
+
+    assert.equal(sanitized.data.imageBase64, undefined);
+    assert.equal(full.data.imageBase64, 'data:image/png;base64,aW1hZ2U=');
+  });
+
+  test('replays an entry as a new linked job', async () => {
+    const jobId = await failJobWithInput('upscale-image', { priority: 'bulk', batchId: 'batch-1' }, 'replay');
+
+    const response = await fetch(`${baseUrl}/api/dead-letter/${jobId}/replay`, { method: 'POST' });
+    const body = await response.json();
+    const replay = getJobManager().getJob(body.job_id);
+
+    assert.equal(response.status, 202);
+    assert.equal(body.replay_of, jobId);
+    assert.equal(replay.status, 'pending');
+    assert.equal(replay.data.replayOf, jobId);
+    assert.equal(replay.data.priority, 'bulk');
+    assert.equal(replay.data.batchId, undefined);
+    assert.equal((await getStorage().get(replay.data.inputKey)).toString(), 'replay');
+    assert.deepEqual(deadLetterQueue.get(jobId).replays.map(entry => entry.jobId), [body.job_id]);
+    await getJobProcessor().cancelJob(body.job_id);
+  });
+
+  test('refuses to replay an entry without its input image', async () => {
+    const jobId = failJob('upscale-image', {});
+
+    const response = await fetch(`${baseUrl}/api/dead-letter/${jobId}/replay`, { method: 'POST' });
+
+    assert.equal(response.status, 409);
+  });
+
+  test('drops the oldest entries beyond the size limit', () => {
+    const ids = [failJob('upscale-image', {}), failJob('upscale-image', {}), failJob('upscale-image', {})];
+
+    assert.equal(deadLetterQueue.getStats().total, 3);
+    assert.deepEqual(deadLetterQueue.list().map(entry => entry.id).sort(), ids.sort());
+  });
+
+  test('purges entries past the retention period', () => {
+    const jobId = failJob('upscale-image', {});
+    deadLetterQueue.get(jobId).deadLetteredTime = Date.now() - deadLetterQueue.retention - 1;
+
+    assert.ok(deadLetterQueue.purgeExpired() >= 1);
+    assert.equal(deadLetterQueue.get(jobId), null);
+  });
+});
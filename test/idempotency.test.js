@@ -0,0 +1,98 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JOB_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+const { getJobManager } = require('../services/jobManager');
+
+describe('idempotencyMiddleware', () => {
+  const jobManager = getJobManager();
+  let server;
+  let baseUrl;
+  let handled = 0;
+
+  before(async () => {
+    // Job manager logs go straight to stdout, where they can interleave with the test report
+    mock.method(console, 'log', () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.post('/api/async/upscale-image', idempotencyMiddleware, (req, res) => {
+      handled++;
+      const jobId = jobManager.createJob('upscale-image', { params: req.body });
+      res.status(202).json({ job_id: jobId, status: 'pending' });
+    });
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await jobManager.shutdown();
+    mock.restoreAll();
+  });
+
+  /**
+   * Submit a job through the test app
+   * @param {Object} body - JSON body
+   * @param {Object} headers - Extra request headers
+   * @param {string} [query] - Query string
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  async function submit(body, headers = {}, query = '') {
+    const response = await fetch(`${baseUrl}/api/async/upscale-image${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  test('processes requests without a key every time', async () => {
+    const before = handled;
+    await submit({ scale: 2 });
+    await submit({ scale: 2 });
+
+    assert.equal(handled - before, 2);
+  });
+
+  test('replays the original response for a retried submission', async () => {
+    const before = handled;
+    const first = await submit({ scale: 2, model: 'a' }, { 'Idempotency-Key': 'retry-1' });
+    const second = await submit({ model: 'a', scale: 2 }, { 'Idempotency-Key': 'retry-1' });
+
+    assert.equal(handled - before, 1);
+    assert.equal(second.status, 202);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+  });
+
+  test('rejects a reused key with a different payload', async () => {
+    const first = await submit({ scale: 2 }, { 'Idempotency-Key': 'conflict-1' });
+    const second = await submit({ scale: 2 }, { 'Idempotency-Key': 'conflict-1' }, '?priority=bulk');
+
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error, 'Idempotency key conflict');
+    assert.equal(second.body.job_id, first.body.job_id);
+  });
+
+  test('rejects keys that are too long', async () => {
+    const response = await submit({}, { 'Idempotency-Key': 'k'.repeat(256) });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid Idempotency-Key');
+  });
+
+  test('accepts the key again once its job is deleted', async () => {
+    const first = await submit({ scale: 4 }, { 'Idempotency-Key': 'expire-1' });
+    jobManager.deleteJob(first.body.job_id);
+    const second = await submit({ scale: 4 }, { 'Idempotency-Key': 'expire-1' });
+
+    assert.notEqual(second.body.job_id, first.body.job_id);
+    assert.equal(second.headers.get('idempotent-replayed'), null);
+  });
+});
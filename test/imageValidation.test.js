@@ -0,0 +1,126 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.IMAGE_MAX_MEGAPIXELS;
+delete process.env.IMAGE_MAX_MEGAPIXELS_PER_TYPE;
+
+const { inspectImage, validateImage, getMaxMegapixels } = require('../utils/imageValidation');
+
+/**
+ * Build the header of a PNG with the given dimensions (signature and IHDR chunk)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} PNG header
+ */
+function createPng(width, height) {
+  const header = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header, 0);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'latin1');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+/**
+ * Build a JPEG with an APP0 segment followed by a SOF0 frame header
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} JPEG header
+ */
+function createJpeg(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const sof0 = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 3]);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof0, Buffer.alloc(12)]);
+}
+
+/**
+ * Build the header of an extended (VP8X) WebP with the given dimensions
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} WebP header
+ */
+function createWebp(width, height) {
+  const header = Buffer.alloc(30);
+  header.write('RIFF', 0, 'latin1');
+  header.write('WEBP', 8, 'latin1');
+  header.write('VP8X', 12, 'latin1');
+  header.writeUIntLE(width - 1, 24, 3);
+  header.writeUIntLE(height - 1, 27, 3);
+  return header;
+}
+
+describe('inspectImage', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-validation-test-'));
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reads the dimensions of PNG, JPEG and WebP headers', async () => {
+    assert.deepEqual(await inspectImage(createPng(640, 480)), { mimeType: 'image/png', width: 640, height: 480 });
+    assert.deepEqual(await inspectImage(createJpeg(1920, 1080)), { mimeType: 'image/jpeg', width: 1920, height: 1080 });
+    assert.deepEqual(await inspectImage(createWebp(800, 600)), { mimeType: 'image/webp', width: 800, height: 600 });
+  });
+
+  test('reads an image from a file', async () => {
+    const filePath = path.join(directory, 'upload.bin');
+    fs.writeFileSync(filePath, createJpeg(300, 200));
+
+    assert.deepEqual(await inspectImage(filePath), { mimeType: 'image/jpeg', width: 300, height: 200 });
+  });
+
+  test('names a recognised format that is not supported', async () => {
+    assert.equal((await inspectImage(Buffer.from('%PDF-1.7\n'))).format, 'PDF');
+    assert.equal((await inspectImage(Buffer.from('GIF89a'))).format, 'GIF');
+    assert.equal((await inspectImage(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).format, 'SVG/XML');
+  });
+});
+
+describe('validateImage', () => {
+  test('accepts a supported image within the limits', async () => {
+    assert.deepEqual(await validateImage(createPng(1024, 1024), 'upscale-image'), {
+      image: { mimeType: 'image/png', width: 1024, height: 1024 }
+    });
+  });
+
+  test('rejects files that are not a supported image with 415', async () => {
+    const result = await validateImage(Buffer.from('%PDF-1.7\n'), 'remove-background');
+
+    assert.equal(result.status, 415);
+    assert.equal(result.code, 'unsupported_image_type');
+    assert.match(result.details, /^The file is a PDF, not an image/);
+  });
+
+  test('rejects a truncated header with 422', async () => {
+    const result = await validateImage(createPng(640, 480).subarray(0, 16), 'remove-background');
+
+    assert.equal(result.status, 422);
+    assert.equal(result.code, 'invalid_image');
+  });
+
+  test('rejects a JPEG without a frame header', async () => {
+    const result = await validateImage(Buffer.from([0xff, 0xd8, 0xff, 0xd9]), 'remove-background');
+
+    assert.equal(result.code, 'invalid_image');
+  });
+
+  test('rejects a small file declaring huge dimensions', async () => {
+    const result = await validateImage(createPng(100000, 100000), 'remove-background');
+
+    assert.equal(result.status, 422);
+    assert.equal(result.code, 'image_too_large');
+  });
+
+  test('applies the limit of the job type', async () => {
+    const image = createJpeg(3000, 2000); // 6 MP
+
+    assert.ok((await validateImage(image, 'remove-background')).image);
+    assert.equal((await validateImage(image, 'upscale-image')).code, 'image_too_large');
+    assert.equal(getMaxMegapixels('upscale-image'), 4);
+    assert.equal(getMaxMegapixels('remove-background'), 50);
+  });
+});
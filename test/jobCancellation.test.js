@@ -0,0 +1,94 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.JOB_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { JobProcessor } = require('../services/jobProcessor');
+const { getJobManager } = require('../services/jobManager');
+
+describe('JobProcessor.cancelJob', () => {
+  const jobManager = getJobManager();
+  const processor = new JobProcessor();
+  const requests = [];
+  let queue = {};
+  let server;
+  let comfyUrl;
+
+  before(async () => {
+    // Processor logs on stdout can corrupt the report the test runner reads from it
+    mock.method(console, 'log', () => {});
+
+    // Stand-in for the ComfyUI /queue and /interrupt endpoints
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(req.method === 'GET' ? queue : {}));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    comfyUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await jobManager.shutdown();
+  });
+
+  /**
+   * Create a processing job with a registered execution
+   * @param {string} promptId - Prompt ID on the instance
+   * @returns {Object} { jobId, execution }
+   */
+  function startExecution(promptId) {
+    const jobId = jobManager.createJob('upscale-image', {});
+    jobManager.updateJobStatus(jobId, 'processing');
+    const execution = { comfyUrl, promptId, cancelRequested: false, aborted: false };
+    execution.abort = () => { execution.aborted = true; };
+    processor.activeExecutions.set(jobId, execution);
+    return { jobId, execution };
+  }
+
+  test('marks a pending job cancelled without contacting an instance', async () => {
+    const jobId = jobManager.createJob('upscale-image', {});
+    requests.length = 0;
+
+    assert.deepEqual(await processor.cancelJob(jobId), { cancelled: true, previousStatus: 'pending', comfyuiAction: 'none' });
+    assert.equal(jobManager.getJob(jobId).status, 'cancelled');
+    assert.equal(requests.length, 0);
+  });
+
+  test('removes a queued prompt from the instance queue', async () => {
+    queue = { queue_running: [], queue_pending: [[1, 'prompt-queued']] };
+    const { jobId, execution } = startExecution('prompt-queued');
+    requests.length = 0;
+
+    const outcome = await processor.cancelJob(jobId);
+
+    assert.equal(outcome.comfyuiAction, 'dequeued');
+    assert.deepEqual(requests[1], { method: 'POST', url: '/queue', body: { delete: ['prompt-queued'] } });
+    assert.equal(execution.cancelRequested, true);
+    assert.equal(execution.aborted, true);
+  });
+
+  test('interrupts a running prompt', async () => {
+    queue = { queue_running: [[0, 'prompt-running']], queue_pending: [] };
+    const { jobId } = startExecution('prompt-running');
+    requests.length = 0;
+
+    assert.equal((await processor.cancelJob(jobId)).comfyuiAction, 'interrupted');
+    assert.equal(requests[1].url, '/interrupt');
+  });
+
+  test('refuses finished and unknown jobs', async () => {
+    const jobId = jobManager.createJob('upscale-image', {});
+    jobManager.updateJobStatus(jobId, 'completed');
+
+    assert.deepEqual(await processor.cancelJob(jobId), { cancelled: false, reason: 'already_finished', status: 'completed' });
+    assert.deepEqual(await processor.cancelJob('missing'), { cancelled: false, reason: 'not_found' });
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+process.env.PRIORITY_API_KEYS = JSON.stringify({
+  'importer-key': 'bulk',
+  'mobile-key': 'interactive',
+  'broken-key': 'urgent'
+});
+
+const { resolvePriority, getPriorityRank } = require('../utils/jobPriority');
+
+/**
+ * Build a minimal Express-like request
+ * @param {Object} options - { body, query, apiKey }
+ * @returns {Object} Request
+ */
+function createRequest({ body = {}, query = {}, apiKey } = {}) {
+  return {
+    body,
+    query,
+    get: name => (name === 'X-API-Key' ? apiKey : undefined)
+  };
+}
+
+describe('resolvePriority', () => {
+  test('uses the default lane when nothing is requested', () => {
+    assert.deepEqual(resolvePriority(createRequest()), { priority: 'normal' });
+  });
+
+  test('accepts an explicit priority from the body or query, case-insensitively', () => {
+    assert.deepEqual(resolvePriority(createRequest({ body: { priority: 'Bulk' } })), { priority: 'bulk' });
+    assert.deepEqual(resolvePriority(createRequest({ query: { priority: 'interactive' }, apiKey: 'mobile-key' })), { priority: 'interactive' });
+  });
+
+  test('caps an explicit priority at the lane of the API key', () => {
+    assert.deepEqual(resolvePriority(createRequest({ body: { priority: 'interactive' }, apiKey: 'importer-key' })), { priority: 'bulk' });
+    assert.deepEqual(resolvePriority(createRequest({ body: { priority: 'normal' }, apiKey: 'importer-key' })), { priority: 'bulk' });
+    assert.deepEqual(resolvePriority(createRequest({ body: { priority: 'bulk' }, apiKey: 'mobile-key' })), { priority: 'bulk' });
+  });
+
+  test('caps clients without a mapped API key at the default lane', () => {
+    assert.deepEqual(resolvePriority(createRequest({ body: { priority: 'interactive' } })), { priority: 'normal' });
+    assert.deepEqual(resolvePriority(createRequest({ body: { priority: 'interactive' }, apiKey: 'unknown-key' })), { priority: 'normal' });
+  });
+
+  test('rejects an unknown priority', () => {
+    const result = resolvePriority(createRequest({ body: { priority: 'urgent' } }));
+
+    assert.equal(result.error, 'Invalid priority');
+  });
+
+  test('maps X-API-Key to its configured lane', () => {
+    assert.deepEqual(resolvePriority(createRequest({ apiKey: 'importer-key' })), { priority: 'bulk' });
+    assert.deepEqual(resolvePriority(createRequest({ apiKey: 'mobile-key' })), { priority: 'interactive' });
+  });
+
+  test('ignores unknown keys and invalid lanes in the mapping', () => {
+    assert.deepEqual(resolvePriority(createRequest({ apiKey: 'unknown-key' })), { priority: 'normal' });
+    assert.deepEqual(resolvePriority(createRequest({ apiKey: 'broken-key' })), { priority: 'normal' });
+  });
+});
+
+describe('getPriorityRank', () => {
+  test('ranks lanes highest first and treats unknown lanes as normal', () => {
+    assert.equal(getPriorityRank('interactive'), 0);
+    assert.equal(getPriorityRank('normal'), 1);
+    assert.equal(getPriorityRank('bulk'), 2);
+    assert.equal(getPriorityRank(undefined), 1);
+  });
+});
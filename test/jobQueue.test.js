@@ -0,0 +1,82 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../services/jobQueue');
+const { getPriorityRank } = require('../utils/jobPriority');
+
+/**
+ * Build a pending job as the job manager stores it
+ * @param {string} id - Job ID
+ * @param {number} createdTime - Creation timestamp
+ * @param {string} [priority] - Priority lane
+ * @returns {Object} Job
+ */
+function createJob(id, createdTime, priority) {
+  return { id, createdTime, data: priority ? { priority } : {} };
+}
+
+// Strict lane order, as dispatched without aging
+const byLane = entry => getPriorityRank(entry.priority);
+
+describe('JobQueue', () => {
+  test('orders jobs by lane, then by creation time', () => {
+    const queue = new JobQueue();
+    queue.enqueue(createJob('bulk-1', 1, 'bulk'));
+    queue.enqueue(createJob('normal-1', 2, 'normal'));
+    queue.enqueue(createJob('interactive-1', 3, 'interactive'));
+    queue.enqueue(createJob('normal-2', 4, 'normal'));
+
+    assert.deepEqual(queue.getOrdered(byLane), ['interactive-1', 'normal-1', 'normal-2', 'bulk-1']);
+  });
+
+  test('puts jobs without a priority in the normal lane', () => {
+    const queue = new JobQueue();
+    queue.enqueue(createJob('legacy', 2));
+    queue.enqueue(createJob('bulk', 1, 'bulk'));
+
+    assert.deepEqual(queue.getOrdered(byLane), ['legacy', 'bulk']);
+  });
+
+  test('ignores a job that is already queued', () => {
+    const queue = new JobQueue();
+
+    assert.equal(queue.enqueue(createJob('a', 1)), true);
+    assert.equal(queue.enqueue(createJob('a', 1)), false);
+    assert.equal(queue.size, 1);
+  });
+
+  test('returns a put back job to its original place in its lane', () => {
+    const queue = new JobQueue();
+    queue.enqueue(createJob('first', 1));
+    queue.enqueue(createJob('second', 2));
+    queue.enqueue(createJob('third', 3));
+
+    assert.equal(queue.remove('first'), true);
+    queue.enqueue(createJob('first', 1));
+
+    assert.deepEqual(queue.getOrdered(byLane), ['first', 'second', 'third']);
+  });
+
+  test('removes jobs and reports unknown ones', () => {
+    const queue = new JobQueue();
+    queue.enqueue(createJob('a', 1, 'interactive'));
+    queue.enqueue(createJob('b', 2, 'bulk'));
+
+    assert.equal(queue.remove('a'), true);
+    assert.equal(queue.remove('a'), false);
+    assert.equal(queue.has('a'), false);
+    assert.equal(queue.has('b'), true);
+    assert.deepEqual(queue.getOrdered(byLane), ['b']);
+  });
+
+  test('lets an aged job overtake a higher lane, oldest first on equal rank', () => {
+    const queue = new JobQueue();
+    queue.enqueue(createJob('old-bulk', 1, 'bulk'));
+    queue.enqueue(createJob('normal', 2, 'normal'));
+    queue.enqueue(createJob('new-bulk', 3, 'bulk'));
+
+    // old-bulk has aged up to the normal lane and is older than the normal job
+    const rankOf = entry => entry.id === 'old-bulk' ? getPriorityRank('normal') : byLane(entry);
+
+    assert.deepEqual(queue.getOrdered(rankOf), ['old-bulk', 'normal', 'new-bulk']);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-test-'));
+process.env.JOB_STORE = 'file';
+process.env.JOB_STORE_PATH = storeDirectory;
+
+const { FileJobStore, createJobStore } = require('../services/jobStore');
+const { JobManager } = require('../services/jobManager');
+
+/**
+ * Empty the store directory
+ */
+function clearStore() {
+  for (const file of fs.readdirSync(storeDirectory)) {
+    fs.unlinkSync(path.join(storeDirectory, file));
+  }
+}
+
+/**
+ * Write a job file as a previous process would have left it
+ * @param {Object} job - Job object
+ */
+function writeJobFile(job) {
+  fs.writeFileSync(path.join(storeDirectory, `${job.id}.json`), JSON.stringify(job));
+}
+
+before(() => {
+  // The test runner reads its report from stdout; keep job manager logs out of it
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  fs.rmSync(storeDirectory, { recursive: true, force: true });
+});
+
+describe('FileJobStore', () => {
+  before(clearStore);
+
+  test('loads the jobs it saved and forgets removed ones', async () => {
+    const store = new FileJobStore(storeDirectory);
+    await store.save({ id: 'a', status: 'pending' });
+    await store.save({ id: 'b', status: 'completed' });
+    await store.remove('b');
+
+    assert.deepEqual(store.loadAll(), [{ id: 'a', status: 'pending' }]);
+  });
+
+  test('keeps the latest state when writes of one job overlap', async () => {
+    const store = new FileJobStore(storeDirectory);
+    const job = { id: 'c', status: 'pending' };
+    store.save(job);
+    job.status = 'processing'; // Changes after save() must not leak into the first write
+    store.save({ ...job, status: 'completed' });
+    await store.flush();
+
+    assert.equal(JSON.parse(fs.readFileSync(store.getJobFilePath('c'), 'utf8')).status, 'completed');
+    assert.equal(store.getStatus().pendingWrites, 0);
+  });
+
+  test('skips unreadable job files', () => {
+    clearStore();
+    fs.writeFileSync(path.join(storeDirectory, 'broken.json'), '{"id":');
+    writeJobFile({ id: 'ok', status: 'pending' });
+
+    assert.deepEqual(new FileJobStore(storeDirectory).loadAll().map(job => job.id), ['ok']);
+  });
+
+  test('rejects an unknown JOB_STORE', () => {
+    process.env.JOB_STORE = 'redis';
+    try {
+      assert.throws(() => createJobStore(), /Invalid JOB_STORE/);
+    } finally {
+      process.env.JOB_STORE = 'file';
+    }
+  });
+});
+
+describe('JobManager restore', () => {
+  let manager;
+
+  before(() => {
+    clearStore();
+    const now = Date.now();
+    writeJobFile({ id: 'running', type: 'upscale-image', status: 'processing', data: { imageBase64: 'aW1n' }, comfyuiInstance: 'host-1', createdTime: now - 2000, updatedTime: now });
+    writeJobFile({ id: 'queued', type: 'upscale-image', status: 'pending', data: { imageBase64: 'aW1n' }, createdTime: now - 1000, updatedTime: now });
+    writeJobFile({ id: 'sync', type: 'upscale-image', status: 'processing', data: {}, createdTime: now - 1000, updatedTime: now });
+    writeJobFile({ id: 'done', type: 'upscale-image', status: 'completed', data: {}, result: { imageBase64: 'b3V0' }, createdTime: now - 5000, updatedTime: now - 1000 });
+    writeJobFile({ id: 'cancelled', type: 'upscale-image', status: 'cancelled', data: {}, createdTime: now - 3000, updatedTime: now });
+    writeJobFile({ id: 'expired', type: 'upscale-image', status: 'completed', data: {}, createdTime: 0, updatedTime: 0 });
+
+    manager = new JobManager();
+  });
+
+  after(async () => {
+    await manager.shutdown();
+  });
+
+  test('puts jobs that were processing back to pending', () => {
+    const job = manager.getJob('running');
+
+    assert.equal(job.status, 'pending');
+    assert.equal(job.interruptedInstance, 'host-1');
+    assert.equal(job.comfyuiInstance, null);
+    assert.equal(manager.getJob('queued').status, 'pending');
+  });
+
+  test('fails jobs that cannot be resumed without their input', () => {
+    const job = manager.getJob('sync');
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Job interrupted by server restart');
+  });
+
+  test('keeps finished results and drops expired jobs', () => {
+    assert.equal(manager.getJob('done').result.imageBase64, 'b3V0');
+    assert.equal(manager.getJob('cancelled').status, 'cancelled');
+    assert.equal(manager.getJob('expired'), null);
+  });
+
+  test('restores pending jobs in creation order', () => {
+    assert.deepEqual(manager.getJobsByStatus('pending').map(job => job.id), ['running', 'queued']);
+  });
+
+  test('writes status changes through to the store', async () => {
+    manager.updateJobStatus('queued', 'completed', { result: { imageBase64: 'b3V0' } });
+    await manager.store.flush();
+
+    const stored = JSON.parse(fs.readFileSync(manager.store.getJobFilePath('queued'), 'utf8'));
+    assert.equal(stored.status, 'completed');
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+/**
+ * Load the module with the given environment; its configuration is read on load
+ * @param {Object} env - Environment variables to set
+ * @returns {Object} Module exports
+ */
+function loadRemoteImage(env) {
+  Object.assign(process.env, env);
+  delete require.cache[require.resolve('../utils/remoteImage')];
+  return require('../utils/remoteImage');
+}
+
+/**
+ * Collect a response stream into a Buffer
+ * @param {Readable} stream - Response body
+ * @returns {Promise<Buffer>} Body
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const refused = { status: 400, error: 'Invalid image URL' };
+
+describe('fetchImageUrl address checks', () => {
+  const blockedAddresses = [
+    '127.0.0.1', '10.1.2.3', '169.254.169.254', '[::1]', '[fe80::1]', '[fd00::1]',
+    '[::ffff:7f00:1]', // IPv4-mapped 127.0.0.1
+    '[64:ff9b::a00:1]', // NAT64 10.0.0.1
+    '[2002:c0a8:101::1]', // 6to4 192.168.1.1
+    '[2001:0:4136:e378:8000:63bf:f5ff:fffe]' // Teredo client 10.0.0.1
+  ];
+
+  const { fetchImageUrl } = loadRemoteImage({
+    IMAGE_URL_ALLOWED_HOSTS: ['images.example.com', '*.cdn.example.com', 'localhost', ...blockedAddresses]
+      .map(host => host.replace(/^\[|\]$/g, ''))
+      .join(','),
+    IMAGE_URL_ALLOW_PRIVATE: 'false'
+  });
+  const save = () => assert.fail('a refused URL must not be downloaded');
+
+  for (const address of blockedAddresses) {
+    test(`refuses ${address}`, async () => {
+      await assert.rejects(fetchImageUrl(`http://${address}/image.png`, 1024, save), {
+        ...refused,
+        details: `Address ${address.replace(/^\[|\]$/g, '')} is not allowed`
+      });
+    });
+  }
+
+  test('refuses a hostname that resolves to a private address', async () => {
+    await assert.rejects(fetchImageUrl('http://localhost/image.png', 1024, save), {
+      ...refused,
+      details: /^Host localhost resolves to the non-public address /
+    });
+  });
+
+  test('refuses hosts that are not allowed', async () => {
+    await assert.rejects(fetchImageUrl('https://evil.example.com/image.png', 1024, save), {
+      ...refused,
+      details: 'Host evil.example.com is not allowed'
+    });
+    await assert.rejects(fetchImageUrl('https://cdn.example.com.evil.com/image.png', 1024, save), refused);
+  });
+
+  test('refuses other protocols and relative URLs', async () => {
+    await assert.rejects(fetchImageUrl('ftp://images.example.com/image.png', 1024, save), {
+      ...refused,
+      details: 'image_url must be an http or https URL'
+    });
+    await assert.rejects(fetchImageUrl('/image.png', 1024, save), {
+      ...refused,
+      details: 'image_url must be an absolute URL'
+    });
+  });
+
+  test('refuses every URL while no host is allowed', async () => {
+    const { fetchImageUrl: fetchDisabled } = loadRemoteImage({ IMAGE_URL_ALLOWED_HOSTS: '' });
+
+    await assert.rejects(fetchDisabled('https://images.example.com/image.png', 1024, save), {
+      ...refused,
+      details: /not enabled/
+    });
+  });
+});
+
+describe('fetchImageUrl downloads and redirects', () => {
+  const image = Buffer.from('image-bytes');
+  let server;
+  let origin;
+  let fetchImageUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const redirects = {
+        '/image.png': null,
+        '/moved': `http://localhost:${server.address().port}/image.png`,
+        '/to-other-host': 'http://other.example.net/image.png',
+        '/loop': '/loop'
+      };
+      if (redirects[req.url]) {
+        res.writeHead(302, { Location: redirects[req.url] });
+        return res.end();
+      }
+      if (req.url === '/image.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': image.length });
+        return res.end(image);
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+
+    // The test server is local, so private addresses are allowed here
+    ({ fetchImageUrl } = loadRemoteImage({ IMAGE_URL_ALLOWED_HOSTS: '127.0.0.1,localhost', IMAGE_URL_ALLOW_PRIVATE: 'true' }));
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  test('hands the response body to save', async () => {
+    assert.deepEqual(await fetchImageUrl(`${origin}/image.png`, 1024, readStream), image);
+  });
+
+  test('follows a redirect to an allowed host', async () => {
+    assert.deepEqual(await fetchImageUrl(`${origin}/moved`, 1024, readStream), image);
+  });
+
+  test('refuses a redirect to a host that is not allowed', async () => {
+    await assert.rejects(fetchImageUrl(`${origin}/to-other-host`, 1024, readStream), {
+      ...refused,
+      details: 'Host other.example.net is not allowed'
+    });
+  });
+
+  test('gives up after too many redirects', async () => {
+    await assert.rejects(fetchImageUrl(`${origin}/loop`, 1024, readStream), {
+      status: 502,
+      error: 'Failed to fetch image URL'
+    });
+  });
+
+  test('reports an error status of the image host', async () => {
+    await assert.rejects(fetchImageUrl(`${origin}/missing.png`, 1024, readStream), {
+      status: 502,
+      details: 'Image host answered with status 404'
+    });
+  });
+
+  test('fails a download whose Content-Length exceeds the limit', async () => {
+    await assert.rejects(fetchImageUrl(`${origin}/image.png`, image.length - 1, readStream), {
+      code: 'LIMIT_FILE_SIZE'
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-test-'));
+process.env.RESULT_CACHE_PATH = cacheDirectory;
+process.env.LOG_LEVEL = 'error';
+
+const { ResultCache } = require('../services/resultCache');
+
+/**
+ * Build a job result with one output per buffer
+ * @param {Object} buffers - Output name to image Buffer
+ * @returns {Object} { promptId, outputs }
+ */
+function createResult(buffers) {
+  const outputs = {};
+  for (const name of Object.keys(buffers)) {
+    outputs[name] = { filename: `${name}.png`, mimeType: 'image/png' };
+  }
+  return { promptId: 'prompt-1', outputs };
+}
+
+/**
+ * Create a cache over an empty directory
+ * @returns {ResultCache} Cache
+ */
+function createEmptyCache() {
+  for (const file of fs.readdirSync(cacheDirectory)) {
+    fs.unlinkSync(path.join(cacheDirectory, file));
+  }
+  return new ResultCache();
+}
+
+describe('ResultCache', () => {
+  let cache;
+
+  before(() => {
+    cache = createEmptyCache();
+  });
+
+  after(() => {
+    fs.rmSync(cacheDirectory, { recursive: true, force: true });
+  });
+
+  test('keys on the input, the job type and the workflow graph', () => {
+    const workflow = { 1: { inputs: { format: 'PNG' } } };
+    const key = cache.createKey('hash', 'remove-background', workflow);
+
+    assert.equal(cache.createKey('hash', 'remove-background', workflow), key);
+    assert.notEqual(cache.createKey('other-hash', 'remove-background', workflow), key);
+    assert.notEqual(cache.createKey('hash', 'upscale-image', workflow), key);
+    assert.notEqual(cache.createKey('hash', 'remove-background', { 1: { inputs: { format: 'WEBP' } } }), key);
+  });
+
+  test('returns every output of a stored result', async () => {
+    const buffers = { cutout: Buffer.from('cutout-bytes'), mask: Buffer.from('mask') };
+    await cache.set('multi', 'remove-background', createResult(buffers), buffers);
+
+    const cached = await cache.get('multi');
+
+    assert.equal(cached.result.promptId, 'prompt-1');
+    assert.deepEqual(Object.keys(cached.result.outputs), ['cutout', 'mask']);
+    assert.equal(cached.result.outputs.mask.size, 4);
+    assert.deepEqual(cached.buffers.cutout, buffers.cutout);
+    assert.deepEqual(cached.buffers.mask, buffers.mask);
+  });
+
+  test('counts hits and misses', async () => {
+    const { hits, misses } = cache.getStats();
+
+    assert.equal(await cache.get('missing'), null);
+    await cache.get('multi');
+
+    assert.equal(cache.getStats().hits, hits + 1);
+    assert.equal(cache.getStats().misses, misses + 1);
+  });
+
+  test('rebuilds its index from the directory', async () => {
+    const reloaded = new ResultCache();
+
+    assert.equal(reloaded.has('multi'), true);
+    assert.deepEqual((await reloaded.get('multi')).buffers.mask, Buffer.from('mask'));
+  });
+
+  test('drops an unreadable entry', async () => {
+    fs.writeFileSync(cache.getEntryPath('corrupt'), 'not a cache entry');
+    const reloaded = new ResultCache();
+
+    assert.equal(await reloaded.get('corrupt'), null);
+    assert.equal(reloaded.has('corrupt'), false);
+  });
+
+  test('expires entries older than the TTL', async () => {
+    const expiring = createEmptyCache();
+    const buffers = { image: Buffer.from('image') };
+    await expiring.set('old', 'upscale-image', createResult(buffers), buffers);
+
+    expiring.index.get('old').createdTime = Date.now() - expiring.ttl - 1;
+
+    assert.equal(expiring.has('old'), false);
+    assert.equal(await expiring.get('old'), null);
+    assert.equal(expiring.getStats().entries, 0);
+  });
+
+  test('evicts the least recently used entries over the size limit', async () => {
+    const small = createEmptyCache();
+    const buffers = { image: Buffer.alloc(1000) };
+    await small.set('a', 'upscale-image', createResult(buffers), buffers);
+    await small.set('b', 'upscale-image', createResult(buffers), buffers);
+
+    small.index.get('a').lastAccessTime = Date.now() + 1000; // a was read after b
+    small.maxSizeBytes = small.totalSize + 500;
+    await small.set('c', 'upscale-image', createResult(buffers), buffers);
+
+    assert.equal(small.has('a'), true);
+    assert.equal(small.has('b'), false);
+    assert.equal(small.has('c'), true);
+    assert.equal(small.getStats().evictions, 1);
+    assert.ok(small.totalSize <= small.maxSizeBytes);
+  });
+
+  test('does not store a result larger than the whole cache', async () => {
+    const small = createEmptyCache();
+    small.maxSizeBytes = 100;
+    const buffers = { image: Buffer.alloc(1000) };
+    await small.set('huge', 'upscale-image', createResult(buffers), buffers);
+
+    assert.equal(small.has('huge'), false);
+    assert.equal(small.getStats().writes, 0);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'result-download-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_PATH = storageDirectory;
+
+const { getJobResult, getJobResultImage } = require('../routes/asyncJobHandler');
+const { getJobManager } = require('../services/jobManager');
+const { getStorage } = require('../services/storage');
+
+const IMAGE = Buffer.from('0123456789abcdef');
+const MASK = Buffer.from('mask');
+
+describe('Result image download', () => {
+  const jobManager = getJobManager();
+  let server;
+  let baseUrl;
+  let jobId;
+
+  before(async () => {
+    // Job manager logs go straight to stdout, where they can interleave with the test report
+    mock.method(console, 'log', () => {});
+
+    const app = express();
+    app.get('/api/jobs/:job_id/result', getJobResult);
+    app.get('/api/jobs/:job_id/result/image', getJobResultImage);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    jobId = jobManager.createJob('remove-background', { originalFilename: 'Café photo.jpg' });
+    const outputs = {
+      cutout: { key: `${jobId}/cutout.png`, filename: 'cutout.png', mimeType: 'image/png' },
+      mask: { key: `${jobId}/mask.png`, filename: 'mask.png', mimeType: 'image/png' }
+    };
+    await getStorage().put(outputs.cutout.key, IMAGE, 'image/png');
+    await getStorage().put(outputs.mask.key, MASK, 'image/png');
+    jobManager.updateJobStatus(jobId, 'completed', {
+      result: { promptId: 'prompt-1', ...outputs.cutout, outputs }
+    });
+  });
+
+  after(async () => {
+    server.close();
+    await jobManager.shutdown();
+    fs.rmSync(storageDirectory, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  /**
+   * Request the result image of the test job
+   * @param {Object} headers - Request headers
+   * @param {string} [query] - Query string
+   * @returns {Promise<Response>} Fetch response
+   */
+  function download(headers = {}, query = '') {
+    return fetch(`${baseUrl}/api/jobs/${jobId}/result/image${query}`, { headers });
+  }
+
+  test('sends the whole image with validators and an inline filename', async () => {
+    const response = await download();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(response.headers.get('content-length'), String(IMAGE.length));
+    assert.equal(response.headers.get('accept-ranges'), 'bytes');
+    assert.equal(response.headers.get('content-disposition'), 'inline; filename="Caf_ photo.png"; filename*=UTF-8\'\'Caf%C3%A9%20photo.png');
+    assert.match(response.headers.get('etag'), new RegExp(`^"${jobId}-cutout-10"$`));
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), IMAGE);
+  });
+
+  test('answers a matching If-None-Match with 304', async () => {
+    const etag = (await download()).headers.get('etag');
+    // fetch sends Cache-Control: no-cache with conditional headers unless told otherwise
+    const response = await download({ 'If-None-Match': etag, 'Cache-Control': 'max-age=0' });
+
+    assert.equal(response.status, 304);
+  });
+
+  test('serves a single byte range', async () => {
+    const response = await download({ Range: 'bytes=4-7' });
+
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), `bytes 4-7/${IMAGE.length}`);
+    assert.equal(await response.text(), '4567');
+  });
+
+  test('ignores the range when If-Range does not match', async () => {
+    const response = await download({ Range: 'bytes=4-7', 'If-Range': '"stale"' });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.arrayBuffer()).byteLength, IMAGE.length);
+  });
+
+  test('rejects an unsatisfiable range', async () => {
+    const response = await download({ Range: 'bytes=100-200' });
+
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get('content-range'), `bytes */${IMAGE.length}`);
+  });
+
+  test('sends an attachment when download=true', async () => {
+    const response = await download({}, '?download=true');
+
+    assert.match(response.headers.get('content-disposition'), /^attachment; /);
+  });
+
+  test('selects a named output', async () => {
+    const response = await download({}, '?output=mask');
+
+    assert.equal(response.headers.get('content-disposition'), 'inline; filename="Caf_ photo_mask.png"; filename*=UTF-8\'\'Caf%C3%A9%20photo_mask.png');
+    assert.equal(response.headers.get('etag'), `"${jobId}-mask-4"`);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), MASK);
+  });
+
+  test('reports an unknown output', async () => {
+    const response = await download({}, '?output=depth');
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).details, `Job ${jobId} has outputs: cutout, mask`);
+  });
+
+  test('negotiates JSON or raw bytes on the result endpoint', async () => {
+    const json = await fetch(`${baseUrl}/api/jobs/${jobId}/result`);
+    const image = await fetch(`${baseUrl}/api/jobs/${jobId}/result`, { headers: { Accept: 'image/*' } });
+
+    assert.equal((await json.json()).result.image_base64, `data:image/png;base64,${IMAGE.toString('base64')}`);
+    assert.equal(image.headers.get('content-type'), 'image/png');
+    assert.match(image.headers.get('vary'), /Accept/);
+    assert.deepEqual(Buffer.from(await image.arrayBuffer()), IMAGE);
+  });
+
+  test('refuses jobs that are not completed', async () => {
+    const pendingId = jobManager.createJob('remove-background', {});
+    const response = await fetch(`${baseUrl}/api/jobs/${pendingId}/result/image`);
+
+    assert.equal(response.status, 409);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WORKFLOW_HOT_RELOAD = 'false';
+process.env.JOB_STORE = 'memory';
+// Unreachable instances: the model catalogue stays unread until a test fills it in
+process.env.COMFYUI_HOST_1 = '127.0.0.1:1';
+process.env.COMFYUI_HOST_2 = '127.0.0.1:2';
+
+const { parseSubmissionOptions, parseOutputsOption, parseProcessingParams } = require('../utils/submissionOptions');
+const { getWebhookDispatcher } = require('../services/webhookDispatcher');
+const { getModelCatalog } = require('../services/modelCatalog');
+const { getLoadBalancer } = require('../services/loadBalancer');
+
+/**
+ * Build a request with the given form fields and query parameters
+ * @param {Object} [body] - Form fields
+ * @param {Object} [query] - Query parameters
+ * @param {Object} [headers] - Request headers
+ * @returns {Object} Express-like request
+ */
+function createRequest(body = {}, query = {}, headers = {}) {
+  return { body, query, get: name => headers[name] };
+}
+
+describe('parseSubmissionOptions', () => {
+  test('defaults to no callback and the normal lane', () => {
+    assert.deepEqual(parseSubmissionOptions(createRequest()).options, {
+      callbackUrl: null,
+      callbackIncludeResult: false,
+      priority: 'normal'
+    });
+  });
+
+  test('reads the callback and priority from the body or the query', () => {
+    const { options } = parseSubmissionOptions(createRequest(
+      { callback_url: 'https://example.com/hook', callback_include_result: 'true' },
+      { priority: 'Interactive' }
+    ));
+
+    assert.equal(options.callbackUrl, 'https://example.com/hook');
+    assert.equal(options.callbackIncludeResult, true);
+    assert.equal(options.priority, 'interactive');
+  });
+
+  test('rejects an invalid callback_url or priority', () => {
+    assert.equal(parseSubmissionOptions(createRequest({ callback_url: 'ftp://example.com/hook' })).error, 'Invalid callback_url');
+    assert.equal(parseSubmissionOptions(createRequest({ callback_url: 'not a url' })).error, 'Invalid callback_url');
+    assert.equal(parseSubmissionOptions(createRequest({ callback_url: 'http://10.0.0.5/hook' })).error, 'Invalid callback_url');
+    assert.equal(parseSubmissionOptions(createRequest({ priority: 'urgent' })).error, 'Invalid priority');
+  });
+
+  test('rejects a callback_url while webhooks are disabled', () => {
+    const dispatcher = getWebhookDispatcher();
+    const secret = dispatcher.secret;
+    dispatcher.secret = null;
+
+    try {
+      const result = parseSubmissionOptions(createRequest({ callback_url: 'https://example.com/hook' }));
+      assert.equal(result.error, 'Webhooks are not enabled');
+    } finally {
+      dispatcher.secret = secret;
+    }
+  });
+});
+
+describe('parseOutputsOption', () => {
+  const available = ['cutout', 'mask'];
+
+  test('defaults to the first output', () => {
+    assert.deepEqual(parseOutputsOption(createRequest(), available).outputs, ['cutout']);
+  });
+
+  test('accepts a comma separated list or repeated fields, without duplicates', () => {
+    assert.deepEqual(parseOutputsOption(createRequest({ outputs: 'mask, cutout,mask' }), available).outputs, ['mask', 'cutout']);
+    assert.deepEqual(parseOutputsOption(createRequest({}, { outputs: ['mask', 'cutout'] }), available).outputs, ['mask', 'cutout']);
+  });
+
+  test('rejects unknown or empty outputs', () => {
+    assert.equal(parseOutputsOption(createRequest({ outputs: 'cutout,depth' }), available).error, 'Invalid outputs');
+    assert.equal(parseOutputsOption(createRequest({ outputs: ' , ' }), available).error, 'Invalid outputs');
+  });
+});
+
+describe('parseProcessingParams', () => {
+  const catalog = getModelCatalog();
+
+  after(() => {
+    clearInterval(catalog.refreshIntervalId);
+    getLoadBalancer().stopHealthChecks();
+  });
+
+  test('returns only the parameters given, coerced to their declared type', () => {
+    const { params } = parseProcessingParams(createRequest({ quality: '70', resize_factor: '0.5' }, { scale: '3' }), 'upscale-image');
+
+    assert.deepEqual(params, { quality: 70, resize_factor: 0.5, scale: 3 });
+  });
+
+  test('rejects values outside the declared range', () => {
+    const result = parseProcessingParams(createRequest({ quality: '0' }), 'remove-background');
+
+    assert.equal(result.error, 'Invalid quality');
+    assert.match(result.details, /quality must be an integer >= 1 <= 100/);
+    assert.equal(parseProcessingParams(createRequest({ compression_level: '3.5' }), 'upscale-image').error, 'Invalid compression_level');
+  });
+
+  test('rejects a parameter the job type does not declare', () => {
+    const result = parseProcessingParams(createRequest({ scale: '2' }), 'remove-background');
+
+    assert.equal(result.error, 'Invalid scale');
+    assert.equal(result.details, 'scale is not supported by remove-background');
+  });
+
+  test('refuses a model with 503 until the model catalogue has been read', async () => {
+    await catalog.refresh();
+    const result = parseProcessingParams(createRequest({ model: '4x_Test.pth' }), 'upscale-image');
+
+    assert.equal(result.status, 503);
+    assert.equal(result.error, 'Model catalogue unavailable');
+  });
+
+  test('accepts only installed models once the catalogue is read', () => {
+    catalog.instances.values().next().value.models = ['4x_Test.pth'];
+
+    assert.deepEqual(parseProcessingParams(createRequest({ model: '4x_Test.pth' }), 'upscale-image').params, { model: '4x_Test.pth' });
+
+    const result = parseProcessingParams(createRequest({ model: '2x_Missing.pth' }), 'upscale-image');
+    assert.equal(result.error, 'Invalid model');
+    assert.equal(result.status, undefined);
+  });
+});
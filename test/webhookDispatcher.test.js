@@ -0,0 +1,149 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.JOB_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_RETRY_DELAY = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+// The test receiver listens on loopback; the address checks are switched back on per test
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+const { WebhookDispatcher, validateCallbackUrl } = require('../services/webhookDispatcher');
+const { getJobManager } = require('../services/jobManager');
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'condition not met in time');
+}
+
+describe('WebhookDispatcher', () => {
+  const jobManager = getJobManager();
+  const received = [];
+  const responses = []; // status codes to answer with, 200 once exhausted
+  let dispatcher;
+  let server;
+  let callbackUrl;
+
+  before(async () => {
+    // Keep service logs off stdout, which also carries the test report
+    mock.method(console, 'log', () => {});
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    callbackUrl = `http://127.0.0.1:${server.address().port}/hook`;
+    dispatcher = new WebhookDispatcher();
+  });
+
+  after(async () => {
+    dispatcher.shutdown();
+    server.close();
+    await jobManager.shutdown();
+  });
+
+  test('signs the timestamp and body with the shared secret', async () => {
+    received.length = 0;
+    const jobId = jobManager.createJob('upscale-image', { callbackUrl });
+    jobManager.updateJobStatus(jobId, 'completed', { result: { base64: 'aW1n', promptId: 'p1' } });
+    await waitFor(() => jobManager.getJob(jobId).webhookStatus === 'delivered');
+
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac('sha256', 'test-secret')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-event'], 'job.completed');
+    assert.equal(JSON.parse(body).job.job_id, jobId);
+    assert.equal(JSON.parse(body).result, undefined);
+  });
+
+  test('retries failed deliveries with the same delivery ID', async () => {
+    received.length = 0;
+    responses.push(500, 503);
+    const jobId = jobManager.createJob('upscale-image', { callbackUrl });
+    jobManager.updateJobStatus(jobId, 'failed', { error: 'boom' });
+    await waitFor(() => jobManager.getJob(jobId).webhookStatus === 'delivered');
+
+    const deliveries = jobManager.getJob(jobId).webhookDeliveries;
+    assert.deepEqual(deliveries.map(delivery => delivery.status_code), [500, 503, 200]);
+    assert.equal(new Set(received.map(request => request.headers['x-webhook-id'])).size, 1);
+  });
+
+  test('gives up on a client error without retrying', async () => {
+    received.length = 0;
+    responses.push(404);
+    const jobId = jobManager.createJob('upscale-image', { callbackUrl });
+    jobManager.updateJobStatus(jobId, 'cancelled');
+    await waitFor(() => jobManager.getJob(jobId).webhookStatus === 'failed');
+
+    assert.equal(received.length, 1);
+  });
+
+  test('refuses private callback addresses at delivery without retrying', async () => {
+    received.length = 0;
+    dispatcher.allowPrivateAddresses = false;
+
+    try {
+      const port = server.address().port;
+      const literal = jobManager.createJob('upscale-image', { callbackUrl });
+      const resolved = jobManager.createJob('upscale-image', { callbackUrl: `http://localhost:${port}/hook` });
+      jobManager.updateJobStatus(literal, 'completed');
+      jobManager.updateJobStatus(resolved, 'completed');
+      await waitFor(() => [literal, resolved].every(jobId => jobManager.getJob(jobId).webhookStatus === 'failed'));
+
+      assert.deepEqual(jobManager.getJob(literal).webhookDeliveries.map(delivery => delivery.error),
+        ['callback_url must not point to the non-public address 127.0.0.1']);
+      const [delivery] = jobManager.getJob(resolved).webhookDeliveries;
+      assert.match(delivery.error, /^Host localhost resolves to the non-public address /);
+      assert.equal(jobManager.getJob(resolved).webhookDeliveries.length, 1);
+      assert.equal(received.length, 0);
+    } finally {
+      dispatcher.allowPrivateAddresses = true;
+    }
+  });
+
+  test('ignores jobs without a callback and non-final statuses', async () => {
+    received.length = 0;
+    const withoutCallback = jobManager.createJob('upscale-image', {});
+    jobManager.updateJobStatus(withoutCallback, 'completed');
+    const processing = jobManager.createJob('upscale-image', { callbackUrl });
+    jobManager.updateJobStatus(processing, 'processing');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(received.length, 0);
+  });
+});
+
+describe('validateCallbackUrl', () => {
+  test('accepts http and https URLs only', () => {
+    assert.equal(validateCallbackUrl('https://example.com/hook'), null);
+    assert.equal(validateCallbackUrl('ftp://example.com/hook'), 'callback_url must use http or https');
+    assert.equal(validateCallbackUrl('/hook'), 'callback_url must be a valid absolute URL');
+  });
+
+  test('refuses loopback, private and link-local addresses unless allowed', () => {
+    assert.equal(validateCallbackUrl('http://127.0.0.1:8080/hook'), 'callback_url must not point to the non-public address 127.0.0.1');
+    assert.equal(validateCallbackUrl('http://169.254.169.254/latest'), 'callback_url must not point to the non-public address 169.254.169.254');
+    assert.equal(validateCallbackUrl('http://[::ffff:10.0.0.1]/hook'), 'callback_url must not point to the non-public address ::ffff:a00:1');
+    assert.equal(validateCallbackUrl('http://93.184.216.34/hook'), null);
+    assert.equal(validateCallbackUrl('http://127.0.0.1:8080/hook', true), null);
+  });
+});
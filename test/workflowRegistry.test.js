@@ -0,0 +1,112 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workflowsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-registry-test-'));
+process.env.WORKFLOWS_PATH = workflowsDirectory;
+process.env.WORKFLOW_HOT_RELOAD = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const { WorkflowRegistry } = require('../services/workflowRegistry');
+
+const GRAPH = {
+  1: { class_type: 'LoadImageBase64', inputs: { image: '' }, _meta: { name: 'InputImageBase64' } },
+  2: { class_type: 'ImageScaleBy', inputs: { image: ['1', 0], scale_by: 1, upscale_method: 'nearest-exact' } },
+  3: { class_type: 'SaveImage', inputs: { images: ['2', 0], format: 'PNG' }, _meta: { name: 'OutputImage' } },
+  4: { class_type: 'SaveImage', inputs: { images: ['1', 0], format: 'PNG' }, _meta: { name: 'OutputSource' } }
+};
+
+/**
+ * Write a graph and its manifest to the test directory
+ * @param {string} name - Workflow name
+ * @param {Object} manifest - Manifest content
+ */
+function writeWorkflow(name, manifest) {
+  fs.writeFileSync(path.join(workflowsDirectory, `${name}.json`), JSON.stringify(GRAPH));
+  fs.writeFileSync(path.join(workflowsDirectory, `${name}.manifest.json`), JSON.stringify(manifest));
+}
+
+describe('WorkflowRegistry', () => {
+  let registry;
+
+  before(() => {
+    const parameters = {
+      scale: { type: 'number', min: 1, max: 4, default: 2, targets: ['2.scale_by'] },
+      method: { type: 'enum', values: ['nearest-exact', 'lanczos'], targets: ['2.upscale_method'] },
+      format: { type: 'enum', values: ['PNG', 'WEBP'], default: 'PNG', targets: ['3.format', '4.format'] },
+      original: { type: 'boolean', default: false }
+    };
+    writeWorkflow('resize', { jobType: 'resize', match: { original: false }, outputs: { image: 'OutputImage', source: 'OutputSource' }, parameters });
+    writeWorkflow('resize-original', { jobType: 'resize', match: { original: true }, outputs: { image: 'OutputSource' }, parameters });
+    writeWorkflow('broken', { outputs: { image: 'OutputMask' } });
+
+    registry = new WorkflowRegistry();
+  });
+
+  after(() => {
+    fs.rmSync(workflowsDirectory, { recursive: true, force: true });
+  });
+
+  test('loads valid manifests and reports broken ones', () => {
+    assert.deepEqual(registry.list().map(entry => entry.name), ['resize-original', 'resize']);
+    assert.deepEqual(registry.errors.map(({ file, error }) => [file, error]), [
+      ['broken.manifest.json', 'Output "image": no node with _meta.name "OutputMask"']
+    ]);
+  });
+
+  test('applies defaults and coerces submitted strings', () => {
+    const { parameters } = registry.resolveByName('resize', { scale: '3.5', format: 'webp' });
+
+    assert.deepEqual(parameters, { scale: 3.5, format: 'WEBP', original: false });
+  });
+
+  test('rejects values outside a parameter definition', () => {
+    assert.deepEqual(registry.resolveByName('resize', { scale: '8' }), {
+      error: 'Invalid scale',
+      details: 'scale must be a number >= 1 <= 4'
+    });
+    assert.deepEqual(registry.resolveByName('resize', { method: 'bicubic' }), {
+      error: 'Invalid method',
+      details: 'method must be one of: nearest-exact, lanczos'
+    });
+  });
+
+  test('rejects undeclared parameters and contradicted match values on named runs', () => {
+    assert.equal(registry.resolveByName('resize', { strength: 1 }).error, 'Unknown parameter');
+    assert.deepEqual(registry.resolveByName('resize', { original: true }), {
+      error: 'Invalid original',
+      details: 'resize runs with original=false'
+    });
+    assert.equal(registry.resolveByName('missing').error, 'Unknown workflow');
+  });
+
+  test('selects the workflow of a job type by its match values', () => {
+    assert.equal(registry.resolve('resize', {}).entry.name, 'resize');
+    assert.equal(registry.resolve('resize', { original: 'true' }).entry.name, 'resize-original');
+    assert.equal(registry.resolve('sharpen', {}).error, 'Unknown job type');
+  });
+
+  test('writes parameters to their targets and drops unrequested outputs', () => {
+    const built = registry.buildNamedWorkflow('resize', { scale: 3, method: 'lanczos' });
+
+    assert.equal(built.workflow[2].inputs.scale_by, 3);
+    assert.equal(built.workflow[2].inputs.upscale_method, 'lanczos');
+    assert.deepEqual(built.outputNodes, { image: '3' });
+    assert.equal(built.workflow[4], undefined);
+    assert.deepEqual(built.inputNodes, { image: ['1'] });
+    assert.equal(GRAPH[2].inputs.scale_by, 1, 'the registered graph is left untouched');
+  });
+
+  test('keeps every requested output', () => {
+    const built = registry.buildNamedWorkflow('resize', {}, ['image', 'source']);
+
+    assert.deepEqual(built.outputNodes, { image: '3', source: '4' });
+    assert.equal(built.workflow[4].inputs.format, 'PNG');
+  });
+
+  test('throws when a build cannot be resolved', () => {
+    assert.throws(() => registry.buildWorkflow('resize', { scale: 0 }), /^Error: Invalid scale: scale must be a number >= 1 <= 4$/);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-run-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.WORKFLOW_HOT_RELOAD = 'false';
+process.env.STORAGE_PATH = path.join(dataDirectory, 'storage');
+process.env.RESULT_CACHE_PATH = path.join(dataDirectory, 'cache');
+// Unreachable instance: the model catalogue is never read
+process.env.COMFYUI_HOST_1 = '127.0.0.1:1';
+
+const { runWorkflow } = require('../routes/workflowHandler');
+const { getJobManager } = require('../services/jobManager');
+const { getJobProcessor } = require('../services/jobProcessor');
+const { getModelCatalog } = require('../services/modelCatalog');
+const { getLoadBalancer } = require('../services/loadBalancer');
+
+// 1x1 PNG
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+describe('Async workflow run', () => {
+  const jobManager = getJobManager();
+  const imagePath = path.join(dataDirectory, 'input.png');
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // The job processor prints queue events, which would end up in the test report
+    mock.method(console, 'log', () => {});
+
+    fs.writeFileSync(imagePath, Buffer.from(PNG_BASE64, 'base64'));
+
+    // Stand in for the upload middleware with an already validated image
+    const app = express();
+    app.use(express.json());
+    app.post('/api/workflows/:name/run', (req, res, next) => {
+      req.file = { path: imagePath, size: 68, sha256: 'workflow-run-test', mimetype: 'image/png', originalname: 'input.png' };
+      next();
+    }, runWorkflow);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await jobManager.shutdown();
+    clearInterval(getModelCatalog().refreshIntervalId);
+    getLoadBalancer().stopHealthChecks();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  test('queues a workflow with a default model before the model catalogue is read', async () => {
+    assert.equal(getModelCatalog().isLoaded(), false);
+
+    const response = await fetch(`${baseUrl}/api/workflows/upscale-image/run?async=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 202);
+    assert.equal(body.workflow, 'upscale-image');
+    assert.ok(body.params.model, 'the response lists the default model');
+
+    // Only the submitted parameters are stored, so the default does not hold dispatch
+    const job = jobManager.getJob(body.job_id);
+    assert.deepEqual(job.data.params, {});
+    const instances = [{ host: '127.0.0.1:1' }];
+    assert.deepEqual(getJobProcessor().getCandidateInstances(job, instances), instances);
+  });
+});
@@ -1,3 +1,5 @@
+const fs = require('fs');
+
 /**
  * Converts a file buffer to a base64 data URI string
  * @param {Buffer} buffer - The file buffer (e.g., from multer)
@@ -14,6 +16,88 @@ function fileBufferToBase64(buffer, mimeType) {
   return dataUri;
 }
 
+/**
+ * Reads an uploaded file and converts it to a base64 data URI string
+ * @param {string} filePath - Path of the file (e.g., a streamed multer upload)
+ * @param {string} mimeType - The MIME type of the file (e.g., 'image/png')
+ * @returns {Promise<string>} The complete base64 data URI string
+ */
+async function fileToBase64(filePath, mimeType) {
+  const buffer = await fs.promises.readFile(filePath);
+  return fileBufferToBase64(buffer, mimeType);
+}
+
+/**
+ * Detect the MIME type of an image buffer from its leading bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} MIME type (image/png, image/jpeg, image/webp) or null if unknown
+ */
+function detectImageMimeType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Detect the MIME type of an image file from its leading bytes
+ * @param {string} filePath - Image file
+ * @returns {Promise<string|null>} MIME type or null if unknown
+ */
+async function detectFileMimeType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return detectImageMimeType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Decode a base64 image supplied in a JSON body
+ * Accepts a data URI (data:image/png;base64,...) or plain base64; the MIME type
+ * is always detected from the decoded bytes, the image itself is checked by image validation
+ * @param {string} value - Base64 string or data URI
+ * @returns {Object} { buffer, mimeType } - mimeType is null if the data is not a PNG, JPEG or WebP image
+ * @throws {Error} If the value is not a string
+ */
+function base64ToImageData(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error('Image must be a base64 string');
+  }
+
+  const base64String = value.startsWith('data:') ? value.slice(value.indexOf(',') + 1) : value;
+  const buffer = Buffer.from(base64String, 'base64');
+
+  return { buffer, mimeType: detectImageMimeType(buffer) };
+}
+
+/**
+ * Get the file extension for an image MIME type
+ * @param {string} mimeType - MIME type (e.g., 'image/jpeg')
+ * @returns {string} Extension without dot (png, jpg, webp), 'bin' if unknown
+ */
+function getImageExtension(mimeType) {
+  const extensions = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+  };
+  return extensions[mimeType] || 'bin';
+}
+
 module.exports = {
-  fileBufferToBase64
+  fileBufferToBase64,
+  fileToBase64,
+  getImageExtension,
+  detectImageMimeType,
+  detectFileMimeType,
+  base64ToImageData
 };
\ No newline at end of file
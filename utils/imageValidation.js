@@ -0,0 +1,231 @@
+const fs = require('fs');
+const { detectImageMimeType } = require('./imageUtils');
+
+// Megapixel limits: a global cap that also guards against decompression bombs
+// (tiny files declaring huge dimensions) and per job type limits below it
+const MAX_MEGAPIXELS = parseFloat(process.env.IMAGE_MAX_MEGAPIXELS) || 50;
+const DEFAULT_TYPE_MEGAPIXELS = {
+  'upscale-image': 4, // 4x upscale of larger inputs exhausts VRAM
+  'upscale-remove-bg': 4
+};
+
+/**
+ * Load per job type megapixel limits from IMAGE_MAX_MEGAPIXELS_PER_TYPE
+ * Example: {"upscale-image":6,"remove-background":30}
+ * @returns {Object} Job type to limit in megapixels
+ */
+function loadTypeLimits() {
+  if (!process.env.IMAGE_MAX_MEGAPIXELS_PER_TYPE) {
+    return { ...DEFAULT_TYPE_MEGAPIXELS };
+  }
+
+  try {
+    return { ...DEFAULT_TYPE_MEGAPIXELS, ...JSON.parse(process.env.IMAGE_MAX_MEGAPIXELS_PER_TYPE) };
+  } catch (error) {
+    console.error('❌ Invalid IMAGE_MAX_MEGAPIXELS_PER_TYPE, using the default limits:', error.message);
+    return { ...DEFAULT_TYPE_MEGAPIXELS };
+  }
+}
+
+const TYPE_MEGAPIXELS = loadTypeLimits();
+
+// Formats recognised only to name them in the 415 response
+const OTHER_SIGNATURES = [
+  { name: 'PDF', matches: buffer => buffer.toString('latin1', 0, 5) === '%PDF-' },
+  { name: 'GIF', matches: buffer => buffer.toString('latin1', 0, 4) === 'GIF8' },
+  { name: 'BMP', matches: buffer => buffer.toString('latin1', 0, 2) === 'BM' },
+  { name: 'TIFF', matches: buffer => ['II*\0', 'MM\0*'].includes(buffer.toString('latin1', 0, 4)) },
+  { name: 'HEIC/AVIF', matches: buffer => buffer.toString('latin1', 4, 8) === 'ftyp' },
+  { name: 'SVG/XML', matches: buffer => /^\s*</.test(buffer.toString('utf8', 0, 12)) }
+];
+
+/**
+ * Create a random-access reader over a Buffer or a file
+ * @param {Buffer|string} source - Image data or file path
+ * @returns {Promise<Object>} { size, read(offset, length) => Promise<Buffer>, close() }
+ */
+async function openSource(source) {
+  if (Buffer.isBuffer(source)) {
+    return {
+      size: source.length,
+      read: async (offset, length) => source.subarray(offset, offset + length),
+      close: async () => {}
+    };
+  }
+
+  const handle = await fs.promises.open(source, 'r');
+  const { size } = await handle.stat();
+  return {
+    size: size,
+    read: async (offset, length) => {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, offset);
+      return buffer.subarray(0, bytesRead);
+    },
+    close: () => handle.close()
+  };
+}
+
+/**
+ * Read PNG dimensions from the IHDR chunk
+ * @param {Buffer} header - First bytes of the file
+ * @returns {Object|null} { width, height }
+ */
+function readPngSize(header) {
+  if (header.length < 24 || header.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Read WebP dimensions from the first chunk (lossy VP8, lossless VP8L or extended VP8X)
+ * @param {Buffer} header - First bytes of the file
+ * @returns {Object|null} { width, height }
+ */
+function readWebpSize(header) {
+  if (header.length < 30) {
+    return null;
+  }
+
+  const chunk = header.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ' && header[23] === 0x9d && header[24] === 0x01 && header[25] === 0x2a) {
+    return { width: header.readUInt16LE(26) & 0x3fff, height: header.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && header[20] === 0x2f) {
+    const bits = header.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Read JPEG dimensions from the first SOF segment
+ * Walks the segment headers only, so large EXIF/ICC blocks are skipped without being read
+ * @param {Object} reader - Source reader
+ * @returns {Promise<Object|null>} { width, height }
+ */
+async function readJpegSize(reader) {
+  let offset = 2; // After SOI
+
+  while (offset + 4 <= reader.size) {
+    const marker = await reader.read(offset, 4);
+    if (marker[0] !== 0xff) {
+      return null;
+    }
+    if (marker[1] === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+
+    const type = marker[1];
+    if (type === 0xd8 || type === 0x01 || (type >= 0xd0 && type <= 0xd7)) {
+      offset += 2; // Markers without a length
+      continue;
+    }
+    if (type === 0xd9 || type === 0xda) {
+      return null; // End of image or start of scan before any frame header
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (type >= 0xc0 && type <= 0xcf && type !== 0xc4 && type !== 0xc8 && type !== 0xcc) {
+      const frame = await reader.read(offset + 5, 4);
+      return frame.length < 4 ? null : { width: frame.readUInt16BE(2), height: frame.readUInt16BE(0) };
+    }
+
+    offset += 2 + marker.readUInt16BE(2);
+  }
+
+  return null;
+}
+
+/**
+ * Identify an image from its magic bytes and read its dimensions without decoding it
+ * @param {Buffer|string} source - Image data or file path
+ * @returns {Promise<Object>} { mimeType, width, height } - mimeType is null for unsupported
+ *   formats (format then names a recognised one), width/height are null if the header is unreadable
+ */
+async function inspectImage(source) {
+  const reader = await openSource(source);
+
+  try {
+    const header = await reader.read(0, 32);
+    const mimeType = detectImageMimeType(header);
+
+    if (!mimeType) {
+      const other = OTHER_SIGNATURES.find(signature => signature.matches(header));
+      return { mimeType: null, format: other ? other.name : null, width: null, height: null };
+    }
+
+    let size = null;
+    if (mimeType === 'image/png') {
+      size = readPngSize(header);
+    } else if (mimeType === 'image/webp') {
+      size = readWebpSize(header);
+    } else {
+      size = await readJpegSize(reader);
+    }
+
+    return { mimeType, width: size ? size.width : null, height: size ? size.height : null };
+  } finally {
+    await reader.close();
+  }
+}
+
+/**
+ * Get the megapixel limit of a job type
+ * @param {string} jobType - Job type
+ * @returns {number} Limit in megapixels
+ */
+function getMaxMegapixels(jobType) {
+  return Math.min(parseFloat(TYPE_MEGAPIXELS[jobType]) || MAX_MEGAPIXELS, MAX_MEGAPIXELS);
+}
+
+/**
+ * Validate an input image for a job type
+ * @param {Buffer|string} source - Image data or file path
+ * @param {string} jobType - Job type the image is submitted for
+ * @returns {Promise<Object>} { image: { mimeType, width, height } } or { status, code, error, details }
+ */
+async function validateImage(source, jobType) {
+  const image = await inspectImage(source);
+
+  if (!image.mimeType) {
+    return {
+      status: 415,
+      code: 'unsupported_image_type',
+      error: 'Unsupported image type',
+      details: `${image.format ? `The file is a ${image.format}, not an image` : 'The file is not a recognised image'}; supported formats are PNG, JPEG and WebP`
+    };
+  }
+
+  if (!image.width || !image.height) {
+    return {
+      status: 422,
+      code: 'invalid_image',
+      error: 'Invalid image',
+      details: `The ${image.mimeType} header is truncated or corrupt, the image dimensions cannot be read`
+    };
+  }
+
+  const megapixels = image.width * image.height / 1e6;
+  const maxMegapixels = getMaxMegapixels(jobType);
+  if (megapixels > maxMegapixels) {
+    return {
+      status: 422,
+      code: 'image_too_large',
+      error: 'Image dimensions too large',
+      details: `Image is ${image.width}x${image.height} (${megapixels.toFixed(1)} MP), ${jobType} accepts at most ${maxMegapixels} MP`
+    };
+  }
+
+  return { image: { mimeType: image.mimeType, width: image.width, height: image.height } };
+}
+
+module.exports = {
+  inspectImage,
+  validateImage,
+  getMaxMegapixels
+};
@@ -0,0 +1,86 @@
+/**
+ * Job priority lanes, highest priority first
+ * The processor dispatches strictly by lane and FIFO within a lane
+ */
+const PRIORITY_LANES = ['interactive', 'normal', 'bulk'];
+const DEFAULT_PRIORITY = 'normal';
+
+let apiKeyPriorities = null;
+
+/**
+ * Load the API key to priority lane mapping from PRIORITY_API_KEYS (JSON)
+ * e.g. {"catalogue-importer-key":"bulk","mobile-app-key":"interactive"}
+ * @returns {Object} API key -> priority lane
+ */
+function getApiKeyPriorities() {
+  if (apiKeyPriorities) {
+    return apiKeyPriorities;
+  }
+
+  apiKeyPriorities = {};
+
+  if (process.env.PRIORITY_API_KEYS) {
+    try {
+      const mapping = JSON.parse(process.env.PRIORITY_API_KEYS);
+      for (const [apiKey, priority] of Object.entries(mapping)) {
+        if (PRIORITY_LANES.includes(priority)) {
+          apiKeyPriorities[apiKey] = priority;
+        } else {
+          console.warn(`⚠️  Ignoring invalid priority "${priority}" in PRIORITY_API_KEYS`);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Invalid PRIORITY_API_KEYS, expected a JSON object:', error.message);
+    }
+  }
+
+  return apiKeyPriorities;
+}
+
+/**
+ * Resolve the priority lane of a submission
+ * The lane mapped to the X-API-Key header (or the default lane for unmapped clients once
+ * PRIORITY_API_KEYS is configured) is the highest a submission gets: an explicit
+ * `priority` parameter can lower it but a higher one is capped at that lane
+ * @param {Object} req - Express request object
+ * @returns {Object} { priority } on success or { error, details } if invalid
+ */
+function resolvePriority(req) {
+  const requested = req.body.priority || req.query.priority;
+  const apiKeyPriorities = getApiKeyPriorities();
+  const apiKey = req.get('X-API-Key');
+  const keyPriority = apiKey && apiKeyPriorities[apiKey];
+  const allowedPriority = keyPriority ||
+    (Object.keys(apiKeyPriorities).length > 0 ? DEFAULT_PRIORITY : PRIORITY_LANES[0]);
+
+  if (requested) {
+    const priority = String(requested).toLowerCase();
+    if (!PRIORITY_LANES.includes(priority)) {
+      return {
+        error: 'Invalid priority',
+        details: `Priority must be one of: ${PRIORITY_LANES.join(', ')}`
+      };
+    }
+    return { priority: getPriorityRank(priority) < getPriorityRank(allowedPriority) ? allowedPriority : priority };
+  }
+
+  return { priority: keyPriority || DEFAULT_PRIORITY };
+}
+
+/**
+ * Get the rank of a priority lane (0 = highest)
+ * Jobs created before priorities existed are treated as the default lane
+ * @param {string} priority - Priority lane
+ * @returns {number} Lane rank
+ */
+function getPriorityRank(priority) {
+  const rank = PRIORITY_LANES.indexOf(priority);
+  return rank === -1 ? PRIORITY_LANES.indexOf(DEFAULT_PRIORITY) : rank;
+}
+
+module.exports = {
+  PRIORITY_LANES,
+  DEFAULT_PRIORITY,
+  resolvePriority,
+  getPriorityRank
+};
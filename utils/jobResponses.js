@@ -0,0 +1,243 @@
+/**
+ * Builders for the client-facing job payloads
+ * Shared by the status/result routes and the webhook dispatcher so that
+ * polling clients and callback receivers see the same shape
+ */
+
+const { DEFAULT_PRIORITY } = require('./jobPriority');
+
+/**
+ * Get estimated duration for different workflow types
+ * @param {string} workflowType - Type of workflow
+ * @returns {number} Estimated duration in seconds
+ */
+function getEstimatedDuration(workflowType) {
+  switch (workflowType) {
+    case 'remove-background':
+      return 45; // 45 seconds
+    case 'upscale-image':
+      return 60; // 60 seconds
+    case 'upscale-remove-bg':
+      return 90; // 90 seconds (combines both operations)
+    default:
+      return 30; // Default 30 seconds
+  }
+}
+
+/**
+ * Calculate the real progress of a processing job from its tracked node execution
+ * Finished (executed or cached) nodes count fully, the running node counts by its
+ * step progress (value/max) when ComfyUI reports one
+ * @param {Object} progress - Job progress record maintained by the JobProcessor
+ * @returns {number} Percentage between 0 and 99 (100 is reserved for completed jobs)
+ */
+function calculateProgressPercentage(progress) {
+  if (!progress || !progress.totalNodes) {
+    return 0;
+  }
+
+  let completed = progress.finishedNodes.length;
+
+  if (progress.currentNode && !progress.finishedNodes.includes(progress.currentNode) &&
+      progress.nodeProgress && progress.nodeProgress.max > 0) {
+    completed += Math.min(1, progress.nodeProgress.value / progress.nodeProgress.max);
+  }
+
+  return Math.min(99, Math.floor((completed / progress.totalNodes) * 100));
+}
+
+/**
+ * Build the job status payload returned by /api/jobs/:job_id/status
+ * @param {Object} job - Job object from the JobManager
+ * @param {Object} queueInfo - Queue position and ETA from JobProcessor.getQueueInfo (pending jobs only)
+ * @returns {Object} Status response body
+ */
+function buildJobStatusResponse(job, queueInfo = null) {
+  // Calculate processing time and estimated completion
+  const now = Date.now();
+  const processingTime = Math.round((now - job.createdTime) / 1000);
+  const estimatedTotal = getEstimatedDuration(job.type);
+  const remainingTime = Math.max(0, estimatedTotal - processingTime);
+
+  const response = {
+    job_id: job.id,
+    status: job.status,
+    type: job.type,
+    created_time: new Date(job.createdTime).toISOString(),
+    updated_time: new Date(job.updatedTime).toISOString(),
+    processing_time_seconds: processingTime,
+    comfyui_instance: job.comfyuiInstance,
+    priority: (job.data && job.data.priority) || DEFAULT_PRIORITY
+  };
+
+  // Add status-specific information
+  switch (job.status) {
+    case 'pending':
+      response.message = 'Job is queued for processing';
+      response.estimated_completion_time_seconds = estimatedTotal;
+      if (job.mergedInto) {
+        response.message = 'Job is waiting for an identical job that is already in progress';
+      }
+      if (queueInfo) {
+        response.queue_position = queueInfo.position;
+        response.queue_length = queueInfo.queueLength;
+        response.jobs_ahead = queueInfo.jobsAhead;
+        response.jobs_ahead_by_type = queueInfo.jobsAheadByType;
+        if (queueInfo.estimatedWaitMs !== null) {
+          response.estimated_wait_time_seconds = Math.ceil(queueInfo.estimatedWaitMs / 1000);
+          response.estimated_completion_time_seconds = Math.ceil(queueInfo.estimatedCompletionMs / 1000);
+        } else {
+          response.estimated_wait_time_seconds = null;
+        }
+        response.estimate_basis = queueInfo.estimateBasis;
+      }
+      if (job.attempts && job.attempts.length > 0) {
+        response.message = 'Job is queued for a retry after a failed attempt';
+        response.attempts = job.attempts.length;
+        response.last_error = job.lastError;
+        response.next_attempt_time = new Date(job.nextAttemptTime).toISOString();
+      }
+      break;
+
+    case 'processing':
+      response.message = 'Job is currently being processed';
+      response.prompt_id = job.promptId;
+      response.estimated_remaining_time_seconds = remainingTime;
+      response.progress_percentage = calculateProgressPercentage(job.progress);
+      if (job.progress) {
+        response.progress = {
+          nodes_total: job.progress.totalNodes,
+          nodes_finished: job.progress.finishedNodes.length,
+          nodes_cached: job.progress.cachedNodes,
+          current_node: job.progress.currentNode,
+          current_node_title: job.progress.currentNodeTitle,
+          current_node_progress: job.progress.nodeProgress
+        };
+      }
+      break;
+
+    case 'completed':
+      response.message = 'Job completed successfully';
+      response.completed_time = new Date(job.completedTime || job.updatedTime).toISOString();
+      response.result_url = `/api/jobs/${job.id}/result`;
+      response.image_url = `/api/jobs/${job.id}/result/image`;
+      response.progress_percentage = 100;
+      response.cache_hit = Boolean(job.cacheHit);
+      break;
+
+    case 'failed':
+      response.message = 'Job failed to process';
+      response.error = job.error;
+      response.failed_time = new Date(job.failedTime || job.updatedTime).toISOString();
+      if (job.errorDetails) {
+        response.error_details = job.errorDetails;
+      }
+      if (job.attempts) {
+        response.attempts = job.attempts.length;
+      }
+      break;
+
+    case 'cancelled':
+      response.message = 'Job was cancelled';
+      response.cancelled_time = new Date(job.cancelledTime || job.updatedTime).toISOString();
+      break;
+  }
+
+  // Identical submission this job was merged onto
+  if (job.mergedInto) {
+    response.merged_with = job.mergedInto;
+  }
+
+  // Failed job this job replays from the dead-letter queue
+  if (job.data && job.data.replayOf) {
+    response.replay_of = job.data.replayOf;
+  }
+
+  // Registered workflow the job was submitted for by name
+  if (job.data && job.data.workflow) {
+    response.workflow = job.data.workflow;
+  }
+
+  // Webhook delivery log
+  if (job.data && job.data.callbackUrl) {
+    response.webhook = {
+      callback_url: job.data.callbackUrl,
+      status: job.webhookStatus || 'waiting',
+      deliveries: job.webhookDeliveries || []
+    };
+  }
+
+  return response;
+}
+
+/**
+ * Describe the named outputs of a job result, each downloadable on its own
+ * @param {Object} job - Completed job object
+ * @returns {Object} Output name to { mime_type, size, image_url }
+ */
+function buildResultOutputs(job) {
+  const outputs = {};
+  for (const [name, output] of Object.entries(job.result.outputs || {})) {
+    outputs[name] = {
+      mime_type: output.mimeType,
+      size: output.size,
+      image_url: `/api/jobs/${job.id}/result/image?output=${encodeURIComponent(name)}`
+    };
+  }
+  return outputs;
+}
+
+/**
+ * Build the job result payload returned by /api/jobs/:job_id/result
+ * @param {Object} job - Completed job object from the JobManager
+ * @param {string} imageBase64 - Image of the selected output as a base64 data URI
+ * @param {string} outputName - Name of the selected output
+ * @returns {Object} Result response body
+ */
+function buildJobResultResponse(job, imageBase64, outputName) {
+  return {
+    job_id: job.id,
+    status: 'completed',
+    type: job.type,
+    completed_time: new Date(job.completedTime || job.updatedTime).toISOString(),
+    processing_time_seconds: Math.round((job.updatedTime - job.createdTime) / 1000),
+    result: {
+      output: outputName,
+      image_base64: imageBase64,
+      prompt_id: job.result.promptId,
+      outputs: buildResultOutputs(job)
+    },
+    image_url: `/api/jobs/${job.id}/result/image`
+  };
+}
+
+/**
+ * Build the 429 body for a submission rejected by the queue limits
+ * The same wait is sent in the Retry-After header
+ * @param {Object} rejection - Rejection from JobProcessor.checkQueueCapacity
+ * @returns {Object} Error response body
+ */
+function buildQueueFullResponse(rejection) {
+  const limitDescription = rejection.scope === 'type'
+    ? `${rejection.pending} ${rejection.jobType} jobs are pending (limit ${rejection.limit})`
+    : `${rejection.pending} jobs are pending (limit ${rejection.limit})`;
+
+  return {
+    error: 'Queue full',
+    code: rejection.scope === 'type' ? 'QUEUE_FULL_FOR_TYPE' : 'QUEUE_FULL',
+    details: `${limitDescription}. Retry after ${rejection.retryAfterSeconds} seconds.`,
+    job_type: rejection.jobType,
+    pending_jobs: rejection.pending,
+    queue_limit: rejection.limit,
+    retry_after_seconds: rejection.retryAfterSeconds
+  };
+}
+
+module.exports = {
+  getEstimatedDuration,
+  calculateProgressPercentage,
+  buildJobStatusResponse,
+  buildJobResultResponse,
+  buildResultOutputs,
+  buildQueueFullResponse
+};
@@ -0,0 +1,107 @@
+const net = require('net');
+const dns = require('dns');
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+// IPv6 transition addresses (IPv4-mapped, NAT64, 6to4, Teredo) are checked by the IPv4 address they embed
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Split an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address, optionally with a zone ID or a dotted IPv4 tail
+ * @returns {Array<number>} Groups
+ */
+function parseIPv6Groups(address) {
+  let text = address.split('%')[0];
+  const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const toGroups = part => part ? part.split(':').map(group => parseInt(group, 16)) : [];
+  const [head, tail] = text.split('::');
+  if (tail === undefined) {
+    return toGroups(head);
+  }
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+/**
+ * Get the IPv4 addresses an IPv6 transition address routes to
+ * IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) embed it in the last 32 bits,
+ * 6to4 (2002::/16) in bits 16-47, Teredo (2001::/32) embeds its server in bits 32-63
+ * and the client, inverted, in the last 32 bits
+ * @param {string} address - IPv6 address
+ * @returns {Array<string>} Embedded IPv4 addresses, empty for any other address
+ */
+function getEmbeddedIPv4Addresses(address) {
+  const groups = parseIPv6Groups(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeroUntil = end => groups.slice(0, end).every(group => group === 0);
+
+  if (zeroUntil(5) && groups[5] === 0xffff) {
+    return [toIPv4(groups[6], groups[7])];
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return [toIPv4(groups[6], groups[7])];
+  }
+  if (groups[0] === 0x2002) {
+    return [toIPv4(groups[1], groups[2])];
+  }
+  if (groups[0] === 0x2001 && groups[1] === 0) {
+    return [toIPv4(groups[2], groups[3]), toIPv4(groups[6] ^ 0xffff, groups[7] ^ 0xffff)];
+  }
+  return [];
+}
+
+/**
+ * Check whether an IP address is loopback, private or otherwise not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests to the address must be refused
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return privateRanges.check(address, 'ipv4');
+  }
+  return privateRanges.check(address, 'ipv6') ||
+    getEmbeddedIPv4Addresses(address).some(ip => privateRanges.check(ip, 'ipv4'));
+}
+
+/**
+ * Create a DNS lookup that refuses private addresses, so a public hostname cannot be
+ * pointed at an internal service (checked at connect time, not before)
+ * @param {Function} createError - (hostname, address) => Error passed to the connection
+ * @returns {Function} dns.lookup compatible (hostname, options, callback)
+ */
+function createPublicLookup(createError) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error, address, family);
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+        return callback(createError(hostname, blocked.address));
+      }
+
+      callback(null, address, family);
+    });
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  createPublicLookup
+};
@@ -0,0 +1,141 @@
+const net = require('net');
+const axios = require('axios');
+const { isPrivateAddress, createPublicLookup } = require('./networkAddress');
+
+// Hosts image_url may point to, e.g. "assets.example.com,*.cdn.example.com"
+const ALLOWED_HOSTS = (process.env.IMAGE_URL_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(host => host.length > 0);
+const ALLOW_PRIVATE_ADDRESSES = process.env.IMAGE_URL_ALLOW_PRIVATE === 'true';
+const FETCH_TIMEOUT = parseInt(process.env.IMAGE_URL_TIMEOUT) || 10000; // 10 seconds
+const MAX_REDIRECTS = 3;
+
+/**
+ * Error raised while fetching an image URL, carrying the HTTP status to answer with
+ */
+class RemoteImageError extends Error {
+  constructor(status, error, details) {
+    super(details);
+    this.status = status;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+/**
+ * Check a hostname against IMAGE_URL_ALLOWED_HOSTS ("*.example.com" matches subdomains)
+ * @param {string} hostname - Hostname of the URL
+ * @returns {boolean} True if allowed
+ */
+function isAllowedHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return ALLOWED_HOSTS.some(allowed => allowed.startsWith('*.')
+    ? host.endsWith(allowed.slice(1))
+    : host === allowed);
+}
+
+/**
+ * Validate the protocol and host of an image URL (also applied to every redirect)
+ * Literal IP addresses are checked here, hostnames when they are resolved
+ * @param {string} protocol - URL protocol ("http:" or "https:")
+ * @param {string} hostname - URL hostname
+ * @throws {RemoteImageError} If the URL must not be fetched
+ */
+function checkUrlTarget(protocol, hostname) {
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new RemoteImageError(400, 'Invalid image URL', 'image_url must be an http or https URL');
+  }
+
+  if (!isAllowedHost(hostname)) {
+    throw new RemoteImageError(400, 'Invalid image URL', `Host ${hostname} is not allowed`);
+  }
+
+  const ip = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(ip) && !ALLOW_PRIVATE_ADDRESSES && isPrivateAddress(ip)) {
+    throw new RemoteImageError(400, 'Invalid image URL', `Address ${ip} is not allowed`);
+  }
+}
+
+// Refuses hostnames that resolve to private addresses (unless IMAGE_URL_ALLOW_PRIVATE)
+const lookupPublicAddress = createPublicLookup((hostname, address) =>
+  new RemoteImageError(400, 'Invalid image URL', `Host ${hostname} resolves to the non-public address ${address}`));
+
+/**
+ * Download an image URL
+ * The response body is handed to `save` as a stream; the timeout covers the whole
+ * download and the size limit is checked against Content-Length up front (the
+ * caller enforces it on the actual bytes). Exceeding it fails with code LIMIT_FILE_SIZE
+ * @param {string} value - image_url from the request
+ * @param {number} maxBytes - Size limit
+ * @param {Function} save - async (stream) => result
+ * @returns {Promise<*>} Result of save
+ * @throws {RemoteImageError} If the URL is refused, cannot be fetched or times out
+ */
+async function fetchImageUrl(value, maxBytes, save) {
+  if (ALLOWED_HOSTS.length === 0) {
+    throw new RemoteImageError(400, 'Invalid image URL', 'Image URLs are not enabled on this server (IMAGE_URL_ALLOWED_HOSTS)');
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new RemoteImageError(400, 'Invalid image URL', 'image_url must be an absolute URL');
+  }
+  checkUrlTarget(url.protocol, url.hostname);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  try {
+    let response;
+    try {
+      response = await axios.get(url.href, {
+        responseType: 'stream',
+        signal: controller.signal,
+        lookup: ALLOW_PRIVATE_ADDRESSES ? undefined : lookupPublicAddress,
+        proxy: false,
+        maxRedirects: MAX_REDIRECTS,
+        beforeRedirect: (options) => checkUrlTarget(options.protocol, options.hostname),
+        validateStatus: status => status >= 200 && status < 300
+      });
+    } catch (error) {
+      // Refusals from the lookup or a redirect arrive wrapped by axios / follow-redirects
+      for (let cause = error; cause; cause = cause.cause) {
+        if (cause instanceof RemoteImageError) {
+          throw cause;
+        }
+      }
+      if (controller.signal.aborted) {
+        throw new RemoteImageError(504, 'Image URL timed out', `No response within ${FETCH_TIMEOUT}ms`);
+      }
+      throw new RemoteImageError(502, 'Failed to fetch image URL', error.response
+        ? `Image host answered with status ${error.response.status}`
+        : error.message);
+    }
+
+    if (parseInt(response.headers['content-length']) > maxBytes) {
+      response.data.destroy();
+      const error = new Error('File too large');
+      error.code = 'LIMIT_FILE_SIZE';
+      throw error;
+    }
+
+    try {
+      return await save(response.data);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new RemoteImageError(504, 'Image URL timed out', `Download did not complete within ${FETCH_TIMEOUT}ms`);
+      }
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  RemoteImageError,
+  fetchImageUrl
+};
@@ -0,0 +1,115 @@
+const { getWebhookDispatcher, validateCallbackUrl } = require('../services/webhookDispatcher');
+const { getWorkflowRegistry } = require('../services/workflowRegistry');
+const { resolvePriority } = require('./jobPriority');
+
+/**
+ * Parse the submission options shared by all async job routes
+ * @param {Object} req - Express request object
+ * @returns {Object} { options } on success or { error, details } if invalid
+ */
+function parseSubmissionOptions(req) {
+  const callbackUrl = req.body.callback_url || req.query.callback_url || null;
+  const includeResultParam = req.body.callback_include_result ?? req.query.callback_include_result ?? false;
+
+  if (callbackUrl) {
+    const dispatcher = getWebhookDispatcher();
+    if (!dispatcher.isEnabled()) {
+      return {
+        error: 'Webhooks are not enabled',
+        details: 'Set WEBHOOK_SECRET on the server to accept callback_url'
+      };
+    }
+
+    const validationError = validateCallbackUrl(callbackUrl, dispatcher.allowPrivateAddresses);
+    if (validationError) {
+      return { error: 'Invalid callback_url', details: validationError };
+    }
+  }
+
+  const priorityResult = resolvePriority(req);
+  if (priorityResult.error) {
+    return priorityResult;
+  }
+
+  return {
+    options: {
+      callbackUrl: callbackUrl,
+      callbackIncludeResult: includeResultParam === true || includeResultParam === 'true',
+      priority: priorityResult.priority
+    }
+  };
+}
+
+/**
+ * Parse the requested named outputs (outputs=cutout,mask)
+ * @param {Object} req - Express request object
+ * @param {Array<string>} availableOutputs - Output names of the job type, the first is the default
+ * @returns {Object} { outputs } on success or { error, details } if invalid
+ */
+function parseOutputsOption(req, availableOutputs) {
+  const outputsParam = req.body.outputs ?? req.query.outputs;
+
+  if (outputsParam === undefined || outputsParam === '') {
+    return { outputs: [availableOutputs[0]] };
+  }
+
+  const outputs = [...new Set((Array.isArray(outputsParam) ? outputsParam : String(outputsParam).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean))];
+  const unknownOutputs = outputs.filter(name => !availableOutputs.includes(name));
+
+  if (outputs.length === 0 || unknownOutputs.length > 0) {
+    return {
+      error: 'Invalid outputs',
+      details: `Outputs must be one or more of: ${availableOutputs.join(', ')}`
+    };
+  }
+
+  return { outputs };
+}
+
+// Image processing parameters accepted on the processing routes, declared per job type in the workflow manifests
+const PROCESSING_PARAMETERS = ['model', 'scale', 'quality', 'compression_level', 'resize_factor', 'upscale_method'];
+
+/**
+ * Parse the image processing parameters of a submission (quality=70&scale=3)
+ * Only the parameters given are returned; the workflow manifests supply the defaults
+ * @param {Object} req - Express request object
+ * @param {string} jobType - Job type the parameters are validated for
+ * @returns {Object} { params } on success or { error, details, status } if invalid; status is
+ *   503 while a selected model cannot be verified, 400 is implied otherwise
+ */
+function parseProcessingParams(req, jobType) {
+  const registry = getWorkflowRegistry();
+  const entries = registry.getByJobType(jobType);
+  const params = {};
+
+  for (const name of PROCESSING_PARAMETERS) {
+    const value = req.body[name] ?? req.query[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+
+    const entry = entries.find(candidate => candidate.parameters[name]);
+    if (!entry) {
+      return { error: `Invalid ${name}`, details: `${name} is not supported by ${jobType}` };
+    }
+
+    const validated = registry.validateParameter(entry.parameters[name], value);
+    if (validated.status === 503) {
+      return { error: 'Model catalogue unavailable', details: `${name} ${validated.error}`, status: 503 };
+    }
+    if (validated.error) {
+      return { error: `Invalid ${name}`, details: `${name} ${validated.error}` };
+    }
+    params[name] = validated.value;
+  }
+
+  return { params };
+}
+
+module.exports = {
+  parseSubmissionOptions,
+  parseOutputsOption,
+  parseProcessingParams
+};